@@ -44,14 +44,114 @@ export interface YouTubeClientOptions {
     gl?: string;
     utcOffsetMinutes?: number;
   };
-  proxyUrl?: string;
+  proxyUrl?:
+    | string
+    | ProxyFormatter
+    | ProxyEndpoint
+    | Array<string | ProxyFormatter | ProxyEndpoint>
+    | {
+        proxies: Array<string | ProxyFormatter | ProxyEndpoint>;
+        strategy?: 'failover' | 'round-robin' | 'weighted';
+        maxFailures?: number;
+        cooldown?: number;
+        direct?: boolean;
+      };
   useCache?: boolean;
   cacheMaxAge?: number;
+  cache?:
+    | {
+        store?: 'memory' | 'localStorage' | 'sessionStorage' | 'indexedDB' | 'fs' | CacheStore;
+        capacity?: number;
+        maxAge?: number;
+        staleWhileRevalidate?: number;
+        maxBytes?: number;
+        compact?: boolean;
+        serialize?: (entry: { value: any; timestamp: number }) => string;
+        deserialize?: (data: string) => { value: any; timestamp: number };
+      }
+    | CacheStore
+    | false;
+  retry?:
+    | {
+        maxAttempts?: number;
+        baseDelay?: number;
+        maxDelay?: number;
+        statuses?: number[];
+      }
+    | false;
+  timeout?: number;
   fetch?: typeof fetch;
+  clock?: () => number;
+  strict?: boolean;
+  onUnknownRenderer?: (renderer: string, content: object) => void;
+}
+
+export interface CallOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export interface RetryEvent {
+  url: string;
+  attempt: number;
+  delay: number;
+  status: number | null;
+  error: NetworkError | ParseError | null;
+  proxy: string | ProxyFormatter | null;
+}
+
+export interface RequestEvent {
+  url: string;
+  proxy: string | ProxyFormatter | null;
+  status: number;
+  latency: number;
+  failed: Array<string | ProxyFormatter | null>;
+}
+
+export type ProxyFormatter = (targetUrl: string) => string;
+
+export interface ProxyEndpoint {
+  url: string | ProxyFormatter;
+  mode?: 'prefix' | 'query' | 'path' | 'template';
+  param?: string;
+  headers?: Record<string, string>;
+  weight?: number;
+}
+
+export interface ProxyHealth {
+  url: string | ProxyFormatter | null;
+  weight: number;
+  failures: number;
+  latency: number | null;
+  cooldownUntil: number;
+}
+
+export interface CacheStore {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+  keys?(): string[] | Promise<string[]>;
+}
+
+export interface ParseDiagnostics {
+  unknownRenderers: string[];
+  droppedItems: string[];
+  missingFields: Array<{ type: string; id: string; fields: string[] }>;
+  errors: string[];
+}
+
+export interface ChannelRef {
+  id: string;
+  handle: string;
+  url: string;
+  title: string;
+  thumbnails: Array<{ url: string; width: number; height: number }>;
+  verified: boolean;
+  isArtist: boolean;
 }
 
 export interface VideoResult {
-  type: 'video' | 'channel' | 'playlist';
+  type: 'video' | 'short' | 'movie' | 'channel' | 'playlist' | 'mix';
   id: string;
   title: string;
   link: string;
@@ -61,16 +161,248 @@ export interface VideoResult {
   duration: string;
   publishedAt: string;
   viewCount: string;
+  viewCountValue?: number | null;
+  durationSeconds?: number | null;
+  publishedAtEstimate?: string | null;
+  isLive?: boolean;
+  isUpcoming?: boolean;
+  scheduledStartTime?: string | null;
+  wasLive?: boolean;
+  isMembersOnly?: boolean;
+  isShort?: boolean;
+  hasCaptions?: boolean;
+  is4K?: boolean;
+  concurrentViewers?: number | null;
+  channel?: ChannelRef | null;
   badges?: string[];
   description?: string;
   subscriberCount?: string;
+  subscriberCountValue?: number | null;
   videoCount?: string;
+  videoCountValue?: number | null;
+  metadata?: string[];
+  shelf?: string;
+}
+
+export interface SearchOptions {
+  limit?: number;
+  type?: 'video' | 'short' | 'movie' | 'channel' | 'playlist' | 'mix' | 'all';
+  uploadDate?: 'hour' | 'today' | 'week' | 'month' | 'year';
+  duration?: 'short' | 'medium' | 'long';
+  sortBy?: 'relevance' | 'date' | 'views' | 'rating';
+  features?: Array<'live' | '4k' | 'hd' | 'subtitles' | 'creativeCommons' | '360' | 'hdr'>;
+  maxPages?: number;
+  hl?: string;
+  gl?: string;
+}
+
+export interface SearchPage {
+  results: VideoResult[];
+  cursor: string | null;
+  hasMore: boolean;
+  diagnostics?: ParseDiagnostics;
+}
+
+export interface SearchResponse {
+  results: VideoResult[];
+  estimatedResults: number | null;
+  correctedQuery: string | null;
+  originalQuery: string;
+  autoCorrected: boolean;
+  refinements: Array<{ text: string; query: string | null; selected: boolean }>;
+  relatedSearches: string[];
+  continuation: string | null;
+  diagnostics: ParseDiagnostics;
+}
+
+export interface VideoDetails {
+  id: string;
+  title: string;
+  link: string;
+  description: string;
+  keywords: string[];
+  category: string;
+  durationSeconds: number;
+  viewCount: number | null;
+  likeCount: number | null;
+  publishDate: string;
+  uploadDate: string;
+  channelId: string;
+  author: string;
+  thumbnails: Array<{ url: string; width: number; height: number }>;
+  isLive: boolean;
+  isLiveContent: boolean;
+  isUpcoming: boolean;
+  isPremiere: boolean;
+  liveStartTime: string | null;
+  liveEndTime: string | null;
+  isPrivate: boolean;
+  isUnlisted: boolean;
+  isFamilySafe: boolean;
+  captions: CaptionTrack[];
+  chapters: Array<{ title: string; startSeconds: number; thumbnails: Array<{ url: string; width: number; height: number }> }>;
+  playability: { status: string; reason: string; playableInEmbed: boolean };
+}
+
+export interface ChannelDetails {
+  id: string;
+  title: string;
+  handle: string;
+  url: string;
+  description: string;
+  avatar: Array<{ url: string; width: number; height: number }>;
+  banner: Array<{ url: string; width: number; height: number }>;
+  subscriberCount: string;
+  subscriberCountValue: number | null;
+  videoCount: string;
+  videoCountValue: number | null;
+  verified: boolean;
+  isArtist: boolean;
+  links: Array<{ title: string; url: string }>;
+  keywords: string[];
+}
+
+export interface ChannelPage extends SearchPage {
+  channel: ChannelDetails;
+  tab: 'videos' | 'shorts' | 'live' | 'playlists';
+}
+
+export interface PlaylistDetails {
+  id: string;
+  title: string;
+  link: string;
+  description: string;
+  owner: { id: string; title: string };
+  videoCount: string;
+  totalCount: number | null;
+  viewCount: string;
+  lastUpdated: string;
+  privacy: 'public' | 'unlisted' | 'private';
+  thumbnails: Array<{ url: string; width: number; height: number }>;
+  videos: AsyncGenerator<VideoResult & { index: number | null; isPlayable: boolean }>;
+}
+
+export interface Comment {
+  id: string;
+  text: string;
+  runs: Array<{ text: string; url?: string }>;
+  author: string;
+  authorChannelId: string;
+  authorThumbnails: Array<{ url: string; width?: number; height?: number }>;
+  likeCount: string;
+  replyCount: number;
+  publishedTime: string;
+  isPinned: boolean;
+  isHearted: boolean;
+  isCreator: boolean;
+  repliesCursor: string | null;
+}
+
+export interface CommentsPage {
+  results: Comment[];
+  cursor: string | null;
+  hasMore: boolean;
+}
+
+export interface CaptionTrack {
+  languageCode: string;
+  name: string;
+  kind: 'asr' | 'standard';
+  isTranslatable: boolean;
+  url: string;
+}
+
+export interface TranscriptSegment {
+  startMs: number;
+  endMs: number;
+  text: string;
+}
+
+export interface Transcript {
+  videoId: string;
+  language: { languageCode: string; name: string; kind: 'asr' | 'standard' } | null;
+  languages: CaptionTrack[];
+  segments: TranscriptSegment[];
+}
+
+export declare function toSRT(segments: TranscriptSegment[]): string;
+export declare function toWebVTT(segments: TranscriptSegment[]): string;
+export declare function toPlainText(segments: TranscriptSegment[]): string;
+
+export declare function createMemoryStore(): CacheStore;
+export declare function createIndexedDBStore(options?: { databaseName?: string; storeName?: string }): CacheStore;
+export declare function createFileStore(options?: { directory?: string }): CacheStore;
+
+export declare class YouTubeError extends Error {
+  static readonly code: string;
+  readonly code: string;
+}
+
+export declare class NetworkError extends YouTubeError {
+  name: 'NetworkError' | 'ProxyError';
+}
+
+export declare class ProxyError extends NetworkError {
+  name: 'ProxyError';
+  proxyUrl: string | ProxyFormatter;
+}
+
+export declare class HttpError extends YouTubeError {
+  name: 'HttpError' | 'RateLimitError';
+  url: string;
+  status: number;
+  statusText: string;
+  body: string;
+  headers: Record<string, string>;
+}
+
+export declare class RateLimitError extends HttpError {
+  name: 'RateLimitError';
+  retryAfter: number | null;
+}
+
+export declare class ParseError extends YouTubeError {
+  name: 'ParseError';
+  diagnostics: ParseDiagnostics;
+}
+
+export declare class NotFoundError extends YouTubeError {
+  name: 'NotFoundError';
+  resource: 'channel' | 'transcript';
+  id: string;
+  lang: string | null;
+}
+
+export declare class InvalidCursorError extends YouTubeError {
+  name: 'InvalidCursorError';
+  kind: 'search' | 'channel' | 'comments';
+}
+
+export declare class AbortError extends YouTubeError {
+  name: 'AbortError';
+}
+
+export declare class TimeoutError extends YouTubeError {
+  name: 'TimeoutError';
 }
 
-export declare class YouTubeClient {
+export declare class YouTubeClient extends EventTarget {
   constructor(options?: YouTubeClientOptions);
-  search(query: string, options?: { limit?: number; type?: 'video' | 'channel' | 'playlist' | 'all' }): Promise<VideoResult[]>;
-  clearCache(): void;
+  search(query: string, options?: SearchOptions & CallOptions): Promise<VideoResult[]>;
+  searchPages(query: string, options?: Omit<SearchOptions, 'limit'> & CallOptions): AsyncGenerator<SearchPage>;
+  searchFromCursor(cursor: string, options?: CallOptions): Promise<SearchPage>;
+  searchDetailed(query: string, options?: Omit<SearchOptions, 'limit' | 'maxPages'> & CallOptions): Promise<SearchResponse>;
+  getVideo(videoId: string, options?: CallOptions): Promise<VideoDetails>;
+  getRelated(videoId: string, options?: { limit?: number; type?: 'video' | 'playlist' | 'all'; maxPages?: number } & CallOptions): Promise<VideoResult[]>;
+  getChannel(channelIdOrHandle: string, options?: { tab?: 'videos' | 'shorts' | 'live' | 'playlists' } & CallOptions): Promise<ChannelPage>;
+  channelFromCursor(cursor: string, options?: CallOptions): Promise<SearchPage>;
+  getPlaylist(playlistId: string, options?: { limit?: number } & CallOptions): Promise<PlaylistDetails>;
+  getComments(videoId: string, options?: { sort?: 'top' | 'newest' } & CallOptions): Promise<CommentsPage & { totalCount: string }>;
+  commentsFromCursor(cursor: string, options?: CallOptions): Promise<CommentsPage>;
+  getTranscript(videoId: string, options?: { lang?: string } & CallOptions): Promise<Transcript>;
+  suggest(partialQuery: string, options?: { hl?: string; gl?: string } & CallOptions): Promise<string[]>;
+  clearCache(): Promise<void>;
+  getProxyHealth(): ProxyHealth[];
 }
 
 export default YouTubeClient;
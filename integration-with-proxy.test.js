@@ -36,8 +36,8 @@ Object.defineProperty(global, 'localStorage', {
   writable: true,
 });
 
-// Local CORS proxy
-const PROXY_URL = 'http://127.0.0.1:3000/proxy?url=';
+// Local CORS proxy, which takes the target URL encoded in its `url` parameter
+const PROXY_URL = { url: 'http://127.0.0.1:3000/proxy', mode: 'query' };
 
 async function runIntegrationTests() {
   /* eslint-disable no-console */
@@ -52,7 +52,7 @@ async function runIntegrationTests() {
   let testPassed = 0;
   let testFailed = 0;
 
-  console.log('Using proxy URL: ' + PROXY_URL);
+  console.log('Using proxy URL: ' + PROXY_URL.url);
   console.log('Make sure the proxy server is running: node proxy-server.js');
   console.log('');
 
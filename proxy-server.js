@@ -5,7 +5,11 @@
  * Allows YouTube Search Library to make requests to YouTube's InnerTube API
  *
  * Usage: node proxy-server.js
- * Then set proxyUrl to http://localhost:3000/proxy?url= in your code
+ * Then set proxyUrl to { url: 'http://localhost:3000/proxy', mode: 'query' } in your code.
+ * The target URL can also be passed URL-encoded as a path segment: /proxy/<encoded url>.
+ *
+ * Set PROXY_TOKEN to only serve requests with an `Authorization: Bearer <token>` header,
+ * e.g. sent with the proxy's `headers` option.
  */
 
 import http from 'http';
@@ -13,6 +17,7 @@ import https from 'https';
 import url from 'url';
 
 const PORT = process.env.PORT || 3000;
+const PROXY_TOKEN = process.env.PROXY_TOKEN;
 const ALLOWED_HOSTS = ['www.youtube.com', 'youtube.com', 'youtubei.googleapis.com'];
 
 /**
@@ -30,7 +35,7 @@ function isAllowedUrl(targetUrl) {
 /**
  * Fetches from a target URL
  */
-function fetchUrl(targetUrl, body, callback) {
+function fetchUrl(targetUrl, method, body, callback) {
   const protocol = targetUrl.startsWith('https') ? https : http;
   const parsedUrl = new URL(targetUrl);
 
@@ -38,7 +43,7 @@ function fetchUrl(targetUrl, body, callback) {
     hostname: parsedUrl.hostname,
     port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
     path: parsedUrl.pathname + parsedUrl.search,
-    method: 'POST',
+    method,
     headers: {
       'Content-Type': 'application/json',
       'User-Agent':
@@ -84,7 +89,7 @@ const server = http.createServer((req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -99,7 +104,13 @@ const server = http.createServer((req, res) => {
   const query = parsedUrl.query;
 
   // Handle proxy endpoint
-  if (pathname === '/proxy' || pathname === '/proxy/' || pathname === '') {
+  if (pathname === '/proxy' || pathname.startsWith('/proxy/') || pathname === '') {
+    if (PROXY_TOKEN && req.headers.authorization !== `Bearer ${PROXY_TOKEN}`) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing or invalid token' }));
+      return;
+    }
+
     const targetUrl = query.url || decodeURIComponent(pathname.split('/proxy/')[1] || '');
 
     if (!targetUrl) {
@@ -121,7 +132,9 @@ const server = http.createServer((req, res) => {
     });
 
     req.on('end', () => {
-      fetchUrl(targetUrl, body, (error, response) => {
+      // Forward the original method: InnerTube calls are POSTs, search suggestions are GETs
+      const method = req.method === 'GET' ? 'GET' : 'POST';
+      fetchUrl(targetUrl, method, body, (error, response) => {
         if (error) {
           res.writeHead(500, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: error.message }));
@@ -144,11 +157,11 @@ const server = http.createServer((req, res) => {
 server.listen(PORT, () => {
   /* eslint-disable no-console */
   console.log(`CORS Proxy Server running on http://localhost:${PORT}`);
-  console.log(`Use proxy URL: http://localhost:${PORT}/proxy?url=`);
+  console.log(`Use proxy URL: http://localhost:${PORT}/proxy (target URL-encoded in ?url=)`);
   console.log('');
   console.log('Example with YouTubeClient:');
   console.log(`  const client = new YouTubeClient({`);
-  console.log(`    proxyUrl: 'http://localhost:${PORT}/proxy?url='`);
+  console.log(`    proxyUrl: { url: 'http://localhost:${PORT}/proxy', mode: 'query' }`);
   console.log(`  });`);
   console.log('');
   /* eslint-enable no-console */
@@ -3,37 +3,233 @@ import {
   DEFAULT_CLIENT_CONTEXT,
   INNERTUBE_BASE_URL,
   SEARCH_ENDPOINT,
+  PLAYER_ENDPOINT,
+  NEXT_ENDPOINT,
+  BROWSE_ENDPOINT,
+  RESOLVE_URL_ENDPOINT,
+  GET_TRANSCRIPT_ENDPOINT,
+  CHANNEL_TAB_PARAMS,
+  SUGGEST_URL,
+  SUGGEST_CACHE_MAX_AGE,
 } from './lib/constants.js';
-import { LRUCache } from './lib/cache.js';
+import { LRUCache, serializeCompact } from './lib/cache.js';
+import { resolveStore } from './lib/stores.js';
 import { Transport } from './lib/transport.js';
-import { parseSearchResults } from './lib/parser.js';
+import { abortable, createDeadline } from './lib/abort.js';
+import { AbortError, NotFoundError } from './lib/errors.js';
+import {
+  parseSearchResults,
+  parseSearchMetadata,
+  parseItemList,
+  getContinuationItems,
+} from './lib/parser.js';
+import { encodeSearchParams } from './lib/filters.js';
+import { encodeCursor, decodeCursor } from './lib/cursor.js';
+import { parseVideoDetails, parseRelatedResults, parseCaptionTracks } from './lib/video.js';
+import { parseChannelMetadata, parseChannelTab } from './lib/channel.js';
+import { parsePlaylistMetadata, parsePlaylistVideos } from './lib/playlist.js';
+import { parseSuggestions } from './lib/suggest.js';
+import { findCommentsContinuation, parseCommentsPage } from './lib/comments.js';
+import { findTranscriptParams, parseTranscriptResponse, parseTimedText } from './lib/transcript.js';
+
+export { toSRT, toWebVTT, toPlainText } from './lib/transcript.js';
+export {
+  YouTubeError,
+  NetworkError,
+  ProxyError,
+  HttpError,
+  RateLimitError,
+  ParseError,
+  NotFoundError,
+  InvalidCursorError,
+  AbortError,
+  TimeoutError,
+} from './lib/errors.js';
+export { createMemoryStore, createIndexedDBStore, createFileStore } from './lib/stores.js';
+
+/**
+ * @typedef {Object} SearchPage
+ * @property {import('./lib/parser.js').VideoResult[]} results - Results on this page.
+ * @property {string|null} cursor - Opaque cursor for the next page, or null on the last page.
+ * @property {boolean} hasMore - Whether another page is available.
+ * @property {import('./lib/parser.js').ParseDiagnostics} [diagnostics] - Problems found while
+ *   parsing the page (search pages only).
+ */
+
+/**
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} [signal] - Signal to cancel the call, which then rejects with an
+ *   `AbortError`.
+ * @property {number} [timeout] - Time limit in ms (defaults to the client's `timeout`). When
+ *   it expires the call rejects with a `TimeoutError`.
+ */
+
+/**
+ * Build a page object, serializing the state of the next page into a cursor.
+ * @param {Object[]} results
+ * @param {Object|null} nextState
+ * @returns {SearchPage}
+ */
+function toPage(results, nextState) {
+  return {
+    results,
+    cursor: nextState ? encodeCursor(nextState) : null,
+    hasMore: Boolean(nextState),
+  };
+}
+
+/**
+ * Build the cursor state of a first search page.
+ * The locale travels with the cursor so later pages are requested and parsed alike.
+ * @param {string} query
+ * @param {import('./lib/filters.js').SearchFilters} filters
+ * @param {{ hl: string, gl: string }} locale
+ * @returns {Object}
+ */
+function searchState(query, filters, { hl, gl }) {
+  const type = filters.type || 'video';
+  return {
+    kind: 'search',
+    query,
+    type,
+    params: encodeSearchParams({ ...filters, type }),
+    hl,
+    gl,
+    token: null,
+  };
+}
+
+/**
+ * Build a page of comments, turning continuation tokens into cursors.
+ * @param {{ results: Object[], continuationToken: string|null }} page - Parsed comments page.
+ * @returns {SearchPage}
+ */
+function toCommentsPage({ results, continuationToken }) {
+  const comments = results.map(({ repliesToken, ...comment }) => ({
+    ...comment,
+    repliesCursor: repliesToken ? encodeCursor({ kind: 'comments', token: repliesToken }) : null,
+  }));
+  const nextState = continuationToken ? { kind: 'comments', token: continuationToken } : null;
+  return toPage(comments, nextState);
+}
+
+/**
+ * Fill in the channel of items listed on a channel page, which omit it.
+ * @param {Object[]} results
+ * @param {import('./lib/parser.js').ChannelRef} channel
+ * @returns {Object[]}
+ */
+function withChannel(results, channel) {
+  return results.map((r) => ({
+    ...r,
+    author: r.author || channel.title,
+    channel: r.channel || channel,
+  }));
+}
+
+/**
+ * Create an event carrying a `detail`, like a `CustomEvent`, which is only a global from
+ * Node 19 on.
+ * @param {string} type
+ * @param {any} detail
+ * @returns {Event & { detail: any }}
+ */
+function createEvent(type, detail) {
+  return Object.assign(new Event(type), { detail });
+}
 
 /**
  * Main Client for YouTube InnerTube Search.
+ *
+ * Dispatches a `revalidate` event when a background refresh of a stale cache entry completes;
+ * `event.detail` is `{ key, value }`. Dispatches a `revalidateerror` event when it fails instead;
+ * `event.detail` is `{ key, error }`, and the stale entry stays cached. Dispatches a `retry` event
+ * before a failed request is retried; `event.detail` is a `RetryEvent` (see the transport module).
+ * Dispatches a `request` event for every response that settles a request, saying which proxy served
+ * it; `event.detail` is a `RequestEvent`.
  */
-export class YouTubeClient {
+export class YouTubeClient extends EventTarget {
   /**
    * @param {Object} options
    * @param {string} [options.apiKey] - Override default API key.
    * @param {Object} [options.clientContext] - Override default client context.
-   * @param {string} [options.proxyUrl] - URL for CORS proxy.
+   * @param {string|import('./lib/proxies.js').ProxyFormatter|import('./lib/proxies.js').ProxyEndpoint|Array|import('./lib/proxies.js').ProxyConfig} [options.proxyUrl]
+   *   - URL for CORS proxy, a proxy with its URL format and headers, or several proxies with a
+   *   selection strategy (see the proxies module).
    * @param {boolean} [options.useCache] - Enable/disable caching (default: true).
    * @param {number} [options.cacheMaxAge] - Cache max age in ms.
+   * @param {Object|import('./lib/stores.js').CacheStore|false} [options.cache] - Cache settings,
+   *   a store to cache in with the default settings, or false to disable caching.
+   * @param {string|import('./lib/stores.js').CacheStore} [options.cache.store] - 'memory',
+   *   'localStorage', 'sessionStorage', 'indexedDB', 'fs' or a custom store (default:
+   *   localStorage where available, memory otherwise).
+   * @param {number} [options.cache.capacity=20] - Max number of cached responses.
+   * @param {number} [options.cache.maxAge] - Cache max age in ms (default: `cacheMaxAge`).
+   * @param {number} [options.cache.staleWhileRevalidate=0] - How long in ms after `maxAge` an
+   *   entry is still returned while it is refreshed in the background.
+   * @param {number} [options.cache.maxBytes] - Byte budget for cached responses; the least
+   *   recently used are evicted to stay within it (default: no limit).
+   * @param {boolean} [options.cache.compact=false] - Cache only the largest thumbnail of each
+   *   result, which about halves the size of a search page.
+   * @param {function(any): string} [options.cache.serialize] - Serialize cache entries, e.g. to
+   *   compress them (default: `JSON.stringify`, or the compact form with `compact`).
+   * @param {function(string): any} [options.cache.deserialize] - Inverse of `serialize`
+   *   (default: `JSON.parse`).
+   * @param {import('./lib/transport.js').RetryPolicy|false} [options.retry] - How to retry
+   *   transient failures (default: 3 attempts with exponential backoff), or false to not retry.
+   * @param {number} [options.timeout] - Default `timeout` of every call in ms (default: none).
+   * @param {function(): number} [options.clock] - Returns the current time in ms; the reference
+   *   for `publishedAtEstimate` (default: `Date.now`).
+   * @param {boolean} [options.strict] - Throw a `ParseError` when a response does not have the
+   *   expected shape, instead of skipping what cannot be parsed (default: false).
+   * @param {function(string, Object): void} [options.onUnknownRenderer] - Called with the key and
+   *   content of every result item the parser does not recognize.
    */
   constructor(options = {}) {
+    super();
     this.apiKey = options.apiKey || DEFAULT_API_KEY;
     this.context = { ...DEFAULT_CLIENT_CONTEXT, ...options.clientContext };
+    this.clock = options.clock || Date.now;
+    this.timeout = options.timeout;
+    this.strict = Boolean(options.strict);
+    this.onUnknownRenderer = options.onUnknownRenderer;
 
     this.transport = new Transport({
       proxyUrl: options.proxyUrl,
       fetch: options.fetch,
+      retry: options.retry,
+      onRetry: (detail) => this.dispatchEvent(createEvent('retry', detail)),
+      onRequest: (detail) => this.dispatchEvent(createEvent('request', detail)),
     });
 
-    if (options.useCache !== false) {
-      this.cache = new LRUCache('yt_search_', options.cacheMaxAge);
+    if (options.useCache !== false && options.cache !== false) {
+      const cache =
+        typeof options.cache?.getItem === 'function'
+          ? { store: options.cache }
+          : options.cache || {};
+      const store = resolveStore(cache.store);
+      this.cache = new LRUCache(
+        'yt_search_',
+        cache.maxAge ?? options.cacheMaxAge,
+        cache.capacity,
+        store,
+        {
+          staleWhileRevalidate: cache.staleWhileRevalidate,
+          maxBytes: cache.maxBytes,
+          serialize: cache.serialize || (cache.compact ? serializeCompact : undefined),
+          deserialize: cache.deserialize,
+        }
+      );
+      this.suggestCache = new LRUCache('yt_suggest_', SUGGEST_CACHE_MAX_AGE, 50, store);
     } else {
       this.cache = null;
+      this.suggestCache = null;
     }
+
+    // Controller of the in-flight suggest() request, aborted when a newer one starts.
+    this._suggestController = null;
+    // Pending loads by cache key, shared by identical concurrent requests.
+    this._inFlight = new Map();
   }
 
   /**
@@ -41,90 +237,864 @@ export class YouTubeClient {
    * @param {string} query - The search query.
    * @param {Object} [options] - Optional search options.
    * @param {number} [options.limit=5] - Maximum number of results to return.
-   * @param {string} [options.type='video'] - Type of results ('video', 'channel', 'playlist', or 'all').
+   * @param {string} [options.type='video'] - Type of results ('video', 'short', 'movie', 'channel',
+   *   'playlist', 'mix', or 'all').
+   * @param {string} [options.uploadDate] - 'hour', 'today', 'week', 'month' or 'year'.
+   * @param {string} [options.duration] - 'short' (< 4 min), 'medium' (4-20 min) or 'long' (> 20 min).
+   * @param {string} [options.sortBy] - 'relevance', 'date', 'views' or 'rating'.
+   * @param {string[]} [options.features] - Any of 'live', '4k', 'hd', 'subtitles',
+   *   'creativeCommons', '360', 'hdr'.
+   * @param {number} [options.maxPages=6] - Maximum number of pages to fetch to fill `limit`.
+   * @param {string} [options.hl] - Language for this search (defaults to the client context).
+   * @param {string} [options.gl] - Region for this search (defaults to the client context).
+   * @param {AbortSignal} [options.signal] - Signal to cancel the search.
+   * @param {number} [options.timeout] - Time limit for the whole search in ms.
    * @returns {Promise<import('./lib/parser.js').VideoResult[]>}
    */
-  async search(query, { limit = 20, type = 'video' } = {}) {
+  async search(
+    query,
+    {
+      limit = 20,
+      maxPages = 6,
+      hl = this.context.hl,
+      gl = this.context.gl,
+      signal,
+      timeout,
+      ...filters
+    } = {}
+  ) {
     if (!query) throw new Error('Query is required');
 
-    const cacheKey = `${query}_${limit}_${type}`;
-    // Check cache
-    if (this.cache) {
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
+    const { type = 'video' } = filters;
+    // Filters are applied server-side so continuation pages are pre-filtered too.
+    const params = encodeSearchParams({ ...filters, type });
+
+    const cacheKey = `${query}_${limit}_${maxPages}_${type}_${params || ''}`;
+
+    return this._cachedCall(
+      cacheKey,
+      async (loadSignal) => {
+        const combinedResults = [];
+        // The time limit covers the whole search, not each page.
+        const pages = this.searchPages(query, {
+          ...filters,
+          maxPages,
+          hl,
+          gl,
+          signal: loadSignal,
+          timeout: null,
+        });
+        for await (const page of pages) {
+          combinedResults.push(...page.results);
+          if (combinedResults.length >= limit) break;
+        }
+        return combinedResults.slice(0, limit);
+      },
+      { hl, gl, signal, timeout }
+    );
+  }
+
+  /**
+   * Iterate over search results one page at a time.
+   * Accepts the same filter and locale options as `search()`.
+   * @param {string} query - The search query.
+   * @param {Object} [options] - Filter options (see `search()`).
+   * @param {number} [options.maxPages=Infinity] - Stop after this many pages.
+   * @param {AbortSignal} [options.signal] - Signal to stop the iteration.
+   * @param {number} [options.timeout] - Time limit for each page in ms.
+   * @returns {AsyncGenerator<SearchPage>}
+   */
+  async *searchPages(
+    query,
+    {
+      maxPages = Infinity,
+      hl = this.context.hl,
+      gl = this.context.gl,
+      signal,
+      timeout,
+      ...filters
+    } = {}
+  ) {
+    if (!query) throw new Error('Query is required');
+
+    let state = searchState(query, filters, { hl, gl });
+    // Deduplicate IDs just in case
+    const seenIds = new Set();
+
+    for (let pageCount = 0; state && pageCount < maxPages; pageCount++) {
+      const { results, nextState, diagnostics } = await this._withDeadline(
+        { signal, timeout },
+        (deadline) => this._fetchSearchPage(state, deadline)
+      );
+
+      const page = toPage(
+        results.filter((r) => !seenIds.has(r.id)),
+        nextState
+      );
+      page.results.forEach((r) => seenIds.add(r.id));
+
+      yield { ...page, diagnostics };
+      state = nextState;
     }
+  }
 
-    const url = `${INNERTUBE_BASE_URL}${SEARCH_ENDPOINT}?key=${this.apiKey}`;
+  /**
+   * Fetch the page a cursor points to.
+   * Cursors are plain strings, so they can be handed to a browser and sent back later.
+   * @param {string} cursor - A cursor from a previous `SearchPage`.
+   * @param {CallOptions} [options]
+   * @returns {Promise<SearchPage>}
+   */
+  async searchFromCursor(cursor, options) {
+    const state = decodeCursor(cursor, 'search');
+    const { results, nextState, diagnostics } = await this._withDeadline(options, (signal) =>
+      this._fetchSearchPage(state, signal)
+    );
+    return { ...toPage(results, nextState), diagnostics };
+  }
+
+  /**
+   * Fetch and parse a single search page.
+   * @private
+   * @param {Object} state - Cursor state; `token` is null for the first page.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{
+   *   results: import('./lib/parser.js').VideoResult[],
+   *   nextState: Object|null,
+   *   response: Object,
+   *   diagnostics: import('./lib/parser.js').ParseDiagnostics
+   * }>}
+   */
+  async _fetchSearchPage(state, signal) {
+    const { query, type, params, token, hl = this.context.hl, gl = this.context.gl } = state;
+    const url = this._endpointUrl(SEARCH_ENDPOINT);
+    const context = { client: { ...this.context, hl, gl } };
+
+    const body = token
+      ? { context, continuation: token }
+      : { context, query, ...(params && { params }) };
 
-    let combinedResults = [];
-    let continuationToken = null;
-    let attempt = 0;
-    const maxAttempts = 5; // Safety break
+    const rawData = await this.transport.post(url, body, { signal });
+    const parsed = parseSearchResults(rawData, this._parseOptions(hl));
 
-    // Initial Search
-    const initialBody = {
-      context: { client: this.context },
-      query: query,
+    let results = parsed.results;
+    // Filter type if needed
+    if (type !== 'all') {
+      results = results.filter((item) => item.type === type);
+    }
+
+    const nextToken = parsed.continuationToken;
+    return {
+      results,
+      nextState: nextToken ? { ...state, token: nextToken } : null,
+      response: rawData,
+      diagnostics: parsed.diagnostics,
     };
+  }
 
-    try {
-      const rawData = await this.transport.post(url, initialBody);
-      const parsed = parseSearchResults(rawData);
-      combinedResults = parsed.results;
-      continuationToken = parsed.continuationToken;
-
-      // Filter type if needed
-      if (type !== 'all') {
-        combinedResults = combinedResults.filter((item) => item.type === type);
-      }
+  /**
+   * @typedef {import('./lib/parser.js').SearchMetadata & {
+   *   results: import('./lib/parser.js').VideoResult[],
+   *   originalQuery: string,
+   *   continuation: string|null,
+   *   diagnostics: import('./lib/parser.js').ParseDiagnostics
+   * }} SearchResponse
+   */
+
+  /**
+   * Search and return the first page of results together with the metadata around them:
+   * result estimate, spelling corrections, refinement chips and related searches.
+   * Accepts the same filter and locale options as `search()`.
+   * @param {string} query - The search query.
+   * @param {Object} [options] - Filter and locale options (see `search()`), and `signal`
+   *   and `timeout` (see `CallOptions`).
+   * @returns {Promise<SearchResponse>} `continuation` is a cursor for `searchFromCursor()`.
+   */
+  async searchDetailed(
+    query,
+    { hl = this.context.hl, gl = this.context.gl, signal, timeout, ...filters } = {}
+  ) {
+    if (!query) throw new Error('Query is required');
 
-      // Fetch Loop
-      while (combinedResults.length < limit && continuationToken && attempt < maxAttempts) {
-        attempt++;
-        const continuationBody = {
-          context: { client: this.context },
-          continuation: continuationToken
+    const state = searchState(query, filters, { hl, gl });
+
+    return this._cachedCall(
+      `detailed_${query}_${state.type}_${state.params || ''}`,
+      async (loadSignal) => {
+        const { results, nextState, response, diagnostics } = await this._fetchSearchPage(
+          state,
+          loadSignal
+        );
+        const metadata = parseSearchMetadata(response);
+        const { cursor } = toPage(results, nextState);
+
+        return {
+          results,
+          ...metadata,
+          originalQuery: metadata.originalQuery || query,
+          continuation: cursor,
+          diagnostics,
         };
+      },
+      { hl, gl, signal, timeout }
+    );
+  }
 
-        const nextRaw = await this.transport.post(url, continuationBody);
-        const nextParsed = parseSearchResults(nextRaw);
+  /**
+   * Get full details for a single video.
+   * Combines the InnerTube `/player` response (duration, keywords, captions, playability)
+   * with the `/next` response (like count, chapters).
+   * @param {string} videoId - The video ID.
+   * @param {CallOptions} [options]
+   * @returns {Promise<import('./lib/video.js').VideoDetails>}
+   */
+  async getVideo(videoId, options) {
+    if (!videoId) throw new Error('Video ID is required');
+
+    return this._cachedCall(
+      `video_${videoId}`,
+      async (signal) => {
+        const body = { context: { client: this.context }, videoId };
+        const [player, next] = await Promise.all([
+          this.transport.post(this._endpointUrl(PLAYER_ENDPOINT), body, { signal }),
+          this.transport.post(this._endpointUrl(NEXT_ENDPOINT), body, { signal }),
+        ]);
+        return parseVideoDetails(player, next);
+      },
+      options
+    );
+  }
 
-        let nextResults = nextParsed.results;
-        if (type !== 'all') {
-          nextResults = nextResults.filter((item) => item.type === type);
+  /**
+   * Get related ("up next") videos for a video.
+   * Follows sidebar continuations until `limit` is met, deduplicating by ID.
+   * @param {string} videoId - The video ID.
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Maximum number of results to return.
+   * @param {string} [options.type='video'] - Type of results ('video', 'playlist', or 'all').
+   * @param {number} [options.maxPages=6] - Maximum number of pages to fetch to fill `limit`.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {number} [options.timeout] - Time limit for all pages in ms.
+   * @returns {Promise<import('./lib/parser.js').VideoResult[]>}
+   */
+  async getRelated(videoId, { limit = 20, type = 'video', maxPages = 6, signal, timeout } = {}) {
+    if (!videoId) throw new Error('Video ID is required');
+
+    return this._cachedCall(
+      `related_${videoId}_${limit}_${type}`,
+      async (loadSignal) => {
+        const url = this._endpointUrl(NEXT_ENDPOINT);
+        const combinedResults = [];
+        // The sidebar can link back to the video itself; never return it as related.
+        const seenIds = new Set([videoId]);
+
+        let page = parseRelatedResults(
+          await this.transport.post(
+            url,
+            { context: { client: this.context }, videoId },
+            { signal: loadSignal }
+          ),
+          this._parseOptions()
+        );
+
+        for (let pageCount = 1; ; pageCount++) {
+          for (const item of page.results) {
+            if ((type === 'all' || item.type === type) && !seenIds.has(item.id)) {
+              seenIds.add(item.id);
+              combinedResults.push(item);
+            }
+          }
+
+          if (combinedResults.length >= limit || !page.continuationToken || pageCount >= maxPages) {
+            break;
+          }
+
+          const response = await this.transport.post(
+            url,
+            { context: { client: this.context }, continuation: page.continuationToken },
+            { signal: loadSignal }
+          );
+          page = parseItemList(getContinuationItems(response) || [], this._parseOptions());
         }
 
-        // Deduplicate IDs just in case
-        const existingIds = new Set(combinedResults.map(r => r.id));
-        nextResults = nextResults.filter(r => !existingIds.has(r.id));
+        return combinedResults.slice(0, limit);
+      },
+      { signal, timeout }
+    );
+  }
 
-        combinedResults = [...combinedResults, ...nextResults];
-        continuationToken = nextParsed.continuationToken;
+  /**
+   * @typedef {SearchPage & { channel: import('./lib/channel.js').ChannelDetails, tab: string }} ChannelPage
+   */
+
+  /**
+   * Get a channel's header metadata and the first page of one of its tabs.
+   * @param {string} channelIdOrHandle - A channel ID ('UC...') or handle ('@name').
+   * @param {Object} [options]
+   * @param {string} [options.tab='videos'] - 'videos', 'shorts', 'live' or 'playlists'.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {number} [options.timeout] - Time limit in ms.
+   * @returns {Promise<ChannelPage>}
+   */
+  async getChannel(channelIdOrHandle, { tab = 'videos', signal, timeout } = {}) {
+    if (!channelIdOrHandle) throw new Error('Channel ID or handle is required');
+
+    const params = CHANNEL_TAB_PARAMS[tab];
+    if (!params) throw new Error(`Invalid channel tab: ${tab}`);
+
+    return this._cachedCall(
+      `channel_${channelIdOrHandle}_${tab}`,
+      async (loadSignal) => {
+        const browseId = await this._resolveChannelId(channelIdOrHandle, loadSignal);
+        const response = await this.transport.post(
+          this._endpointUrl(BROWSE_ENDPOINT),
+          { context: { client: this.context }, browseId, params },
+          { signal: loadSignal }
+        );
+
+        const channel = parseChannelMetadata(response, this._parseOptions());
+        const { results, continuationToken } = parseChannelTab(response, this._parseOptions());
+        const owner = {
+          id: channel.id,
+          handle: channel.handle,
+          url: channel.url,
+          title: channel.title,
+          thumbnails: channel.avatar,
+          verified: channel.verified,
+          isArtist: channel.isArtist,
+        };
+        const state = { kind: 'channel', channel: owner, token: continuationToken };
+
+        return {
+          channel,
+          tab,
+          ...toPage(withChannel(results, owner), continuationToken ? state : null),
+        };
+      },
+      { signal, timeout }
+    );
+  }
+
+  /**
+   * Fetch the next page of channel tab items.
+   * @param {string} cursor - A cursor from `getChannel()` or a previous channel page.
+   * @param {CallOptions} [options]
+   * @returns {Promise<SearchPage>}
+   */
+  async channelFromCursor(cursor, options) {
+    const state = decodeCursor(cursor, 'channel');
+    const response = await this._withDeadline(options, (signal) =>
+      this.transport.post(
+        this._endpointUrl(BROWSE_ENDPOINT),
+        { context: { client: this.context }, continuation: state.token },
+        { signal }
+      )
+    );
+
+    const { results, continuationToken } = parseItemList(
+      getContinuationItems(response) || [],
+      this._parseOptions()
+    );
+    const nextState = continuationToken ? { ...state, token: continuationToken } : null;
+    return toPage(withChannel(results, state.channel), nextState);
+  }
+
+  /**
+   * Get a playlist's metadata and an async iterable over its videos.
+   * Videos after the first page are fetched lazily as the iterable is consumed.
+   * @param {string} playlistId - The playlist ID ('PL...').
+   * @param {Object} [options]
+   * @param {number} [options.limit=Infinity] - Stop after this many videos.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request and stop `videos`.
+   * @param {number} [options.timeout] - Time limit for each page in ms.
+   * @returns {Promise<import('./lib/playlist.js').PlaylistDetails & {
+   *   videos: AsyncGenerator<import('./lib/parser.js').VideoResult>
+   * }>}
+   */
+  async getPlaylist(playlistId, { limit = Infinity, signal, timeout } = {}) {
+    if (!playlistId) throw new Error('Playlist ID is required');
+
+    const browseId = playlistId.startsWith('VL') ? playlistId : `VL${playlistId}`;
+    const response = await this._withDeadline({ signal, timeout }, (deadline) =>
+      this.transport.post(
+        this._endpointUrl(BROWSE_ENDPOINT),
+        { context: { client: this.context }, browseId },
+        { signal: deadline }
+      )
+    );
+
+    return {
+      ...parsePlaylistMetadata(response, browseId.slice(2)),
+      videos: this._playlistVideos(parsePlaylistVideos(response, this._parseOptions()), limit, {
+        signal,
+        timeout,
+      }),
+    };
+  }
+
+  /**
+   * Yield playlist videos, following continuations until the playlist or `limit` is exhausted.
+   * @private
+   * @param {{ results: Object[], continuationToken: string|null }} firstPage
+   * @param {number} limit
+   * @param {CallOptions} options - Applied to each continuation request.
+   * @returns {AsyncGenerator<import('./lib/parser.js').VideoResult>}
+   */
+  async *_playlistVideos(firstPage, limit, options) {
+    let page = firstPage;
+    let count = 0;
+
+    while (count < limit) {
+      for (const video of page.results.slice(0, limit - count)) {
+        count++;
+        yield video;
+      }
+
+      if (!page.continuationToken || count >= limit) return;
+
+      const response = await this._withDeadline(options, (signal) =>
+        this.transport.post(
+          this._endpointUrl(BROWSE_ENDPOINT),
+          { context: { client: this.context }, continuation: page.continuationToken },
+          { signal }
+        )
+      );
+      page = parseItemList(getContinuationItems(response) || [], this._parseOptions());
+    }
+  }
+
+  /**
+   * Get the first page of comments on a video.
+   * @param {string} videoId - The video ID.
+   * @param {Object} [options]
+   * @param {string} [options.sort='top'] - 'top' or 'newest'.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {number} [options.timeout] - Time limit in ms.
+   * @returns {Promise<SearchPage & { totalCount: string }>} Comments; `totalCount` is a
+   *   display string such as '1,234'. Both are empty when comments are disabled.
+   */
+  async getComments(videoId, { sort = 'top', signal, timeout } = {}) {
+    if (!videoId) throw new Error('Video ID is required');
+    if (sort !== 'top' && sort !== 'newest') throw new Error(`Invalid comment sort: ${sort}`);
+
+    return this._cachedCall(
+      `comments_${videoId}_${sort}`,
+      async (loadSignal) => {
+        const next = await this.transport.post(
+          this._endpointUrl(NEXT_ENDPOINT),
+          { context: { client: this.context }, videoId },
+          { signal: loadSignal }
+        );
+
+        const token = findCommentsContinuation(next, sort);
+        if (!token) return { ...toPage([], null), totalCount: '' };
+
+        let page = await this._fetchCommentsPage(token, loadSignal);
+        // The watch page does not always expose the sort menu; the first comments page does.
+        if (page.sort && page.sort !== sort && page.sortTokens[sort]) {
+          page = await this._fetchCommentsPage(page.sortTokens[sort], loadSignal);
+        }
+
+        return { ...toCommentsPage(page), totalCount: page.totalCount };
+      },
+      { signal, timeout }
+    );
+  }
+
+  /**
+   * Fetch more comments, or the replies to a comment.
+   * @param {string} cursor - A page `cursor` or a comment's `repliesCursor`.
+   * @param {CallOptions} [options]
+   * @returns {Promise<SearchPage>}
+   */
+  async commentsFromCursor(cursor, options) {
+    const { token } = decodeCursor(cursor, 'comments');
+    return toCommentsPage(
+      await this._withDeadline(options, (signal) => this._fetchCommentsPage(token, signal))
+    );
+  }
+
+  /**
+   * Fetch and parse a comments continuation.
+   * @private
+   * @param {string} token
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<ReturnType<typeof parseCommentsPage>>}
+   */
+  async _fetchCommentsPage(token, signal) {
+    const response = await this.transport.post(
+      this._endpointUrl(NEXT_ENDPOINT),
+      { context: { client: this.context }, continuation: token },
+      { signal }
+    );
+    return parseCommentsPage(response);
+  }
+
+  /**
+   * @typedef {Object} Transcript
+   * @property {string} videoId
+   * @property {{ languageCode: string, name: string, kind: string }|null} language - The
+   *   language of `segments`.
+   * @property {import('./lib/video.js').CaptionTrack[]} languages - All available languages,
+   *   including auto-generated ('asr') ones.
+   * @property {import('./lib/transcript.js').TranscriptSegment[]} segments
+   */
+
+  /**
+   * Get the timed transcript of a video.
+   * Uses the InnerTube `/get_transcript` endpoint, and falls back to the caption track
+   * listed in the `/player` response when the transcript panel is unavailable.
+   * @param {string} videoId - The video ID.
+   * @param {Object} [options]
+   * @param {string} [options.lang] - Language code, e.g. 'en'. Manually created tracks are
+   *   preferred over auto-generated ones. Defaults to the video's default transcript.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {number} [options.timeout] - Time limit in ms.
+   * @returns {Promise<Transcript>}
+   */
+  async getTranscript(videoId, { lang, signal, timeout } = {}) {
+    if (!videoId) throw new Error('Video ID is required');
+
+    return this._cachedCall(
+      `transcript_${videoId}_${lang || ''}`,
+      async (loadSignal) => {
+        const body = { context: { client: this.context }, videoId };
+        const [player, next] = await Promise.all([
+          this.transport.post(this._endpointUrl(PLAYER_ENDPOINT), body, { signal: loadSignal }),
+          this.transport.post(this._endpointUrl(NEXT_ENDPOINT), body, { signal: loadSignal }),
+        ]);
+
+        const languages = parseCaptionTracks(player);
+        let track = null;
+        if (lang) {
+          const matches = languages.filter((t) => t.languageCode === lang);
+          track = matches.find((t) => t.kind === 'standard') || matches[0];
+          if (!track) {
+            throw new NotFoundError(`Transcript language not available: ${lang}`, {
+              resource: 'transcript',
+              id: videoId,
+              lang,
+            });
+          }
+        }
+
+        let segments = null;
+        let transcript = null;
+        try {
+          transcript = await this._fetchTranscript(findTranscriptParams(next), track, loadSignal);
+        } catch (error) {
+          // Without a caption track there is nothing to fall back to.
+          if (!languages.length || loadSignal.aborted) throw error;
+        }
+        if (transcript) {
+          segments = transcript.segments;
+          track = track || languages.find((t) => t.name === transcript.languageName);
+        } else {
+          track = track || languages.find((t) => t.kind === 'standard') || languages[0];
+          if (track) {
+            const url = new URL(track.url, 'https://www.youtube.com');
+            url.searchParams.set('fmt', 'json3');
+            segments = parseTimedText(
+              await this.transport.getJson(url.href, { signal: loadSignal })
+            );
+          }
+        }
+
+        if (!segments?.length) {
+          throw new NotFoundError(`Transcript not available: ${videoId}`, {
+            resource: 'transcript',
+            id: videoId,
+            lang,
+          });
+        }
+
+        return {
+          videoId,
+          language: track
+            ? { languageCode: track.languageCode, name: track.name, kind: track.kind }
+            : null,
+          languages,
+          segments,
+        };
+      },
+      { signal, timeout }
+    );
+  }
+
+  /**
+   * Fetch a transcript from `/get_transcript`, switching to the track's language if needed.
+   * @private
+   * @param {string|null} params - Transcript params from the watch page.
+   * @param {import('./lib/video.js').CaptionTrack|null} track - Requested language.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ segments: Object[], languageName: string }|null>} Null when the
+   *   endpoint cannot serve the transcript and the caption track should be used instead.
+   */
+  async _fetchTranscript(params, track, signal) {
+    if (!params) return null;
+
+    const url = this._endpointUrl(GET_TRANSCRIPT_ENDPOINT);
+    let transcript = parseTranscriptResponse(
+      await this.transport.post(url, { context: { client: this.context }, params }, { signal })
+    );
+
+    // The language menu only lists display names, which match the caption track names.
+    let selected = transcript.languageMenu.find((item) => item.selected);
+    if (track && selected && selected.title !== track.name) {
+      selected = transcript.languageMenu.find((item) => item.title === track.name);
+      if (!selected?.params) return null;
+      transcript = parseTranscriptResponse(
+        await this.transport.post(
+          url,
+          { context: { client: this.context }, params: selected.params },
+          { signal }
+        )
+      );
+    }
+
+    if (!transcript.segments.length) return null;
+    return { segments: transcript.segments, languageName: selected?.title || '' };
+  }
+
+  /**
+   * Get search completions for a partial query, for type-ahead.
+   * Starting a new call aborts the previous one if it is still in flight, so results of
+   * superseded keystrokes never arrive late; the aborted call rejects with an `AbortError`.
+   * @param {string} partialQuery - What the user has typed so far.
+   * @param {Object} [options]
+   * @param {string} [options.hl] - Language (defaults to the client context).
+   * @param {string} [options.gl] - Region (defaults to the client context).
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {number} [options.timeout] - Time limit in ms.
+   * @returns {Promise<string[]>}
+   */
+  async suggest(
+    partialQuery,
+    { hl = this.context.hl, gl = this.context.gl, signal, timeout = this.timeout } = {}
+  ) {
+    if (this._suggestController) {
+      this._suggestController.abort(new AbortError('Superseded by a newer suggest() call'));
+    }
+    if (!partialQuery || !partialQuery.trim()) return [];
+
+    // Claim the in-flight slot before the cache lookup, which may be asynchronous.
+    const controller = new AbortController();
+    this._suggestController = controller;
+    const deadline = createDeadline({ signal, timeout });
+    const onAbort = () => controller.abort(deadline.signal.reason);
+    if (deadline.signal?.aborted) onAbort();
+    deadline.signal?.addEventListener('abort', onAbort, { once: true });
+
+    const cacheKey = `${hl}_${gl}_${partialQuery}`;
+    const params = new URLSearchParams({ client: 'youtube', ds: 'yt', q: partialQuery, hl, gl });
+
+    try {
+      const cached = await this.suggestCache?.get(cacheKey);
+      // A newer call may have superseded this one during the lookup.
+      controller.signal.throwIfAborted();
+      if (cached) return cached;
+
+      const payload = await this.transport.get(`${SUGGEST_URL}?${params}`, {
+        signal: controller.signal,
+      });
+      const suggestions = parseSuggestions(payload);
+      await this.suggestCache?.set(cacheKey, suggestions);
+      return suggestions;
+    } finally {
+      deadline.signal?.removeEventListener('abort', onAbort);
+      deadline.clear();
+      if (this._suggestController === controller) {
+        this._suggestController = null;
       }
+    }
+  }
 
-      const finalResults = combinedResults.slice(0, limit);
+  /**
+   * Resolve a channel handle to its channel ID.
+   * @private
+   * @param {string} channelIdOrHandle
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>}
+   */
+  async _resolveChannelId(channelIdOrHandle, signal) {
+    if (/^UC[\w-]{22}$/.test(channelIdOrHandle)) return channelIdOrHandle;
 
-      if (this.cache) {
-        this.cache.set(cacheKey, finalResults);
+    const handle = channelIdOrHandle.startsWith('@') ? channelIdOrHandle : `@${channelIdOrHandle}`;
+    const response = await this.transport.post(
+      this._endpointUrl(RESOLVE_URL_ENDPOINT),
+      { context: { client: this.context }, url: `https://www.youtube.com/${handle}` },
+      { signal }
+    );
+
+    const browseId = response?.endpoint?.browseEndpoint?.browseId;
+    if (!browseId) {
+      throw new NotFoundError(`Channel not found: ${channelIdOrHandle}`, {
+        resource: 'channel',
+        id: channelIdOrHandle,
+      });
+    }
+    return browseId;
+  }
+
+  /**
+   * Build the full URL for an InnerTube endpoint.
+   * @private
+   * @param {string} endpoint - e.g. SEARCH_ENDPOINT.
+   * @returns {string}
+   */
+  _endpointUrl(endpoint) {
+    return `${INNERTUBE_BASE_URL}${endpoint}?key=${this.apiKey}`;
+  }
+
+  /**
+   * Options passed to the result parsers.
+   * @private
+   * @param {string} [hl] - Language of the response (defaults to the client context).
+   * @returns {import('./lib/parser.js').ParseOptions}
+   */
+  _parseOptions(hl = this.context.hl) {
+    return {
+      now: this.clock(),
+      hl,
+      strict: this.strict,
+      onUnknownRenderer: this.onUnknownRenderer,
+    };
+  }
+
+  /**
+   * Run a call with its signal combined with its time limit.
+   * @private
+   * @param {CallOptions} [options]
+   * @param {function(AbortSignal|undefined): Promise<any>} run
+   * @returns {Promise<any>}
+   */
+  async _withDeadline({ signal, timeout = this.timeout } = {}, run) {
+    const deadline = createDeadline({ signal, timeout });
+    try {
+      deadline.signal?.throwIfAborted();
+      return await run(deadline.signal);
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Return a cached value, or load and cache it, within the time limit of a call.
+   * @private
+   * @param {string} cacheKey
+   * @param {function(AbortSignal): Promise<any>} load
+   * @param {CallOptions & { hl?: string, gl?: string }} [options]
+   * @returns {Promise<any>}
+   */
+  _cachedCall(cacheKey, load, { signal, timeout, ...locale } = {}) {
+    return this._withDeadline({ signal, timeout }, (deadline) =>
+      this._cached(cacheKey, load, { ...locale, signal: deadline })
+    );
+  }
+
+  /**
+   * Return a cached value, or load and cache it.
+   * Keys are scoped to the locale, since responses are localized.
+   * Stale entries are returned at once and refreshed in the background.
+   * @private
+   * @param {string} cacheKey
+   * @param {function(AbortSignal): Promise<any>} load - Called with a signal that aborts
+   *   once every caller waiting for the load has aborted.
+   * @param {{ hl?: string, gl?: string, signal?: AbortSignal }} [options] - The locale
+   *   defaults to the client context.
+   * @returns {Promise<any>}
+   */
+  async _cached(cacheKey, load, { hl = this.context.hl, gl = this.context.gl, signal } = {}) {
+    const key = `${hl}_${gl}_${cacheKey}`;
+
+    if (this.cache) {
+      const entry = await this.cache.getEntry(key);
+      if (entry) {
+        if (entry.stale) this._revalidate(key, load);
+        return entry.value;
       }
+      signal?.throwIfAborted();
+    }
 
-      return finalResults;
-    } catch (error) {
-      console.error('YouTube Search Error:', error);
-      throw error;
+    return this._load(key, load, signal);
+  }
+
+  /**
+   * Load a value and cache it, sharing the pending load with identical concurrent requests.
+   * A caller that aborts stops waiting at once; the load itself is aborted when no
+   * caller is left waiting for it.
+   * @private
+   * @param {string} key - Full cache key.
+   * @param {function(AbortSignal): Promise<any>} load
+   * @param {AbortSignal} [signal] - Signal of this caller.
+   * @returns {Promise<any>}
+   */
+  _load(key, load, signal) {
+    let flight = this._inFlight.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      const promise = (async () => {
+        const value = await load(controller.signal);
+        if (this.cache) {
+          await this.cache.set(key, value);
+        }
+        return value;
+      })().finally(() => {
+        if (this._inFlight.get(key) === flight) this._inFlight.delete(key);
+      });
+      flight = { promise, controller, callers: 0 };
+      this._inFlight.set(key, flight);
     }
+
+    const current = flight;
+    current.callers++;
+    return abortable(current.promise, signal, () => {
+      if (--current.callers > 0) return;
+      // Later identical requests start a new load instead of joining the aborted one.
+      if (this._inFlight.get(key) === current) this._inFlight.delete(key);
+      current.controller.abort(signal.reason);
+    });
+  }
+
+  /**
+   * Refresh a stale cache entry in the background and announce the fresh value, or the error.
+   * The refresh is bounded by the client's `timeout`.
+   * @private
+   * @param {string} key - Full cache key.
+   * @param {function(AbortSignal): Promise<any>} load
+   */
+  _revalidate(key, load) {
+    if (this._inFlight.has(key)) return;
+    const deadline = createDeadline({ timeout: this.timeout });
+    this._load(key, load, deadline.signal)
+      .then(
+        (value) => this.dispatchEvent(createEvent('revalidate', { key, value })),
+        (error) => this.dispatchEvent(createEvent('revalidateerror', { key, error }))
+      )
+      .finally(deadline.clear);
   }
 
   /**
    * Clear the search cache.
+   * @returns {Promise<void>} Resolves once an asynchronous store is cleared too.
    */
-  clearCache() {
+  async clearCache() {
     if (this.cache) {
-      this.cache.clear();
+      await this.cache.clear();
+    }
+    if (this.suggestCache) {
+      await this.suggestCache.clear();
     }
   }
+
+  /**
+   * Report the health of every proxy: consecutive failures, average latency and cooldown.
+   * @returns {import('./lib/proxies.js').ProxyHealth[]} Proxies in configured order, then the
+   *   route for direct requests if it is enabled.
+   */
+  getProxyHealth() {
+    return this.transport.proxies.health();
+  }
 }
 
 export default YouTubeClient;
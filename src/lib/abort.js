@@ -0,0 +1,68 @@
+/**
+ * Cancellation helpers.
+ * Combines a caller's AbortSignal with a timeout, and lets callers stop waiting for
+ * a promise that other callers share.
+ *
+ * @module abort
+ */
+
+import { TimeoutError, toAbortError } from './errors.js';
+
+/**
+ * Create a signal that aborts when `signal` does, or after `timeout` ms.
+ * A timeout aborts with a `TimeoutError`, and aborting through `signal` with an `AbortError`
+ * (see `toAbortError()`), so callers can tell the two apart.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.timeout] - Milliseconds; no timeout if 0 or missing.
+ * @returns {{ signal: AbortSignal|undefined, clear: function(): void }} Call `clear()` once the
+ *   operation settles, to stop the timer.
+ */
+export function createDeadline({ signal, timeout } = {}) {
+  if (!signal && !timeout) return { signal: undefined, clear: () => {} };
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(toAbortError(signal.reason));
+  const timer =
+    timeout &&
+    setTimeout(() => controller.abort(new TimeoutError(`Timed out after ${timeout}ms`)), timeout);
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Settle like a promise, or reject with the abort reason as soon as a signal aborts.
+ * The promise itself keeps running.
+ * @param {Promise<any>} promise
+ * @param {AbortSignal} [signal]
+ * @param {function(): void} [onAbort] - Called when the signal aborts first.
+ * @returns {Promise<any>}
+ */
+export function abortable(promise, signal, onAbort) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      onAbort?.();
+      reject(signal.reason);
+    };
+    // Handle the promise even when aborted already, so its rejection is never unhandled.
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
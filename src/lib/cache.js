@@ -1,47 +1,178 @@
 /**
- * Simple LRU (Least Recently Used) Cache using localStorage.
+ * Simple LRU (Least Recently Used) Cache over a pluggable store.
+ * Over a synchronous store (localStorage, memory) the cache is synchronous;
+ * over an asynchronous one (IndexedDB, filesystem) every method returns a promise.
+ *
+ * The store may be shared with other tabs or processes, so the key index is read
+ * from the store at the start of every operation rather than kept in memory.
  *
  * @module cache
  */
 
+import { listKeys, resolveStore } from './stores.js';
+
+// Result fields holding thumbnail lists.
+const THUMBNAIL_FIELDS = new Set(['thumbnails', 'avatar', 'banner', 'authorThumbnails']);
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPromise(value) {
+  return typeof value?.then === 'function';
+}
+
+/**
+ * Call `fn` with a value, or with what it resolves to if it is a promise.
+ * @param {any} value
+ * @param {function(any): any} fn
+ * @returns {any}
+ */
+function then(value, fn) {
+  return isPromise(value) ? value.then(fn) : fn(value);
+}
+
+/**
+ * Wait for all values that are promises.
+ * @param {any[]} values
+ * @returns {any[]|Promise<any[]>}
+ */
+function all(values) {
+  return values.some(isPromise) ? Promise.all(values) : values;
+}
+
+/**
+ * Check whether a store failed because it is full.
+ * Browsers name the error differently, and Node reports a full disk as ENOSPC.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return (
+    error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22 ||
+    error?.code === 1014 ||
+    error?.code === 'ENOSPC'
+  );
+}
+
+/**
+ * Serialize a cache item, keeping only the largest image of each thumbnail list.
+ * Thumbnail lists are ordered from smallest to largest and make up most of a search page.
+ * @param {any} item
+ * @returns {string}
+ */
+export function serializeCompact(item) {
+  return JSON.stringify(item, (key, value) =>
+    THUMBNAIL_FIELDS.has(key) && Array.isArray(value) ? value.slice(-1) : value
+  );
+}
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [staleWhileRevalidate=0] - How long in ms after `maxAge` an item is still
+ *   returned by `getEntry()`, marked as stale.
+ * @property {number} [maxBytes=Infinity] - Budget for the stored items, counted as UTF-16
+ *   (two bytes per character, as Web Storage quotas are).
+ * @property {function(any): string} [serialize=JSON.stringify]
+ * @property {function(string): any} [deserialize=JSON.parse]
+ */
+
 export class LRUCache {
   /**
-   * @param {string} namespace - Prefix for localStorage keys.
+   * @param {string} namespace - Prefix for store keys.
    * @param {number} maxAge - Max age in milliseconds (default: 1 hour).
    * @param {number} capacity - Max number of items (default: 20).
+   * @param {import('./stores.js').CacheStore} [store] - Defaults to `localStorage` where it is
+   *   available and memory otherwise.
+   * @param {CacheOptions} [options]
    */
-  constructor(namespace = 'yt_search_', maxAge = 3600000, capacity = 20) {
+  constructor(
+    namespace = 'yt_search_',
+    maxAge = 3600000,
+    capacity = 20,
+    store = resolveStore(),
+    {
+      staleWhileRevalidate = 0,
+      maxBytes = Infinity,
+      serialize = JSON.stringify,
+      deserialize = JSON.parse,
+    } = {}
+  ) {
     this.namespace = namespace;
     this.maxAge = maxAge;
     this.capacity = capacity;
-    this.keys = this._loadKeys();
+    this.store = store;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.maxBytes = maxBytes;
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    this.keys = [];
+    // Stored size of each item in bytes, by key.
+    this.sizes = {};
+
+    // Operations on an asynchronous store are queued behind this promise, so they
+    // never interleave.
+    this._pending = null;
+    this.sweep();
   }
 
   /**
+   * Total size of the stored items in bytes.
+   * @returns {number}
+   */
+  get bytes() {
+    return this.keys.reduce((total, key) => total + (this.sizes[key] || 0), 0);
+  }
+
+  /**
+   * Run an operation on the current key index, logging failures instead of throwing them.
    * @private
-   * @returns {string[]} List of cache keys in order of usage.
+   * @param {function(): any} operation
+   * @param {any} fallback - Result if the operation fails.
+   * @param {string} message
+   * @returns {any}
    */
-  _loadKeys() {
+  _run(operation, fallback, message) {
+    const fail = (e) => {
+      console.warn(message, e);
+      return fallback;
+    };
+    const run = () => then(this._loadIndex(), operation);
+
+    if (this._pending) {
+      const result = this._pending.then(run).catch(fail);
+      this._pending = result;
+      return result;
+    }
+
     try {
-      const keys = localStorage.getItem(`${this.namespace}keys`);
-      return keys ? JSON.parse(keys) : [];
+      const result = run();
+      if (!isPromise(result)) return result;
+      this._pending = result.catch(fail);
+      return this._pending;
     } catch (e) {
-      console.warn('Failed to load cache keys', e);
-      return [];
+      return fail(e);
     }
   }
 
   /**
+   * Load the cache keys in order of usage, and the item sizes.
+   * Another tab or process may have changed them since the last operation.
+   * Items cached by a version without size accounting count as 0 bytes.
    * @private
-   * @param {string[]} keys
+   * @returns {void|Promise<void>}
    */
-  _saveKeys(keys) {
-    try {
-      localStorage.setItem(`${this.namespace}keys`, JSON.stringify(keys));
-      this.keys = keys;
-    } catch (e) {
-      console.warn('Failed to save cache keys', e);
-    }
+  _loadIndex() {
+    const stored = all([
+      this.store.getItem(`${this.namespace}keys`),
+      this.store.getItem(`${this.namespace}sizes`),
+    ]);
+    return then(stored, ([keys, sizes]) => {
+      this.keys = keys ? JSON.parse(keys) : [];
+      this.sizes = sizes ? JSON.parse(sizes) : {};
+    });
   }
 
   /**
@@ -50,98 +181,239 @@ export class LRUCache {
    * @returns {any|null} The cached value or null if not found/expired.
    */
   get(key) {
+    return then(this.getEntry(key), (entry) => (entry && !entry.stale ? entry.value : null));
+  }
+
+  /**
+   * Get an item together with its freshness.
+   * Items older than `maxAge` are stale; past `maxAge + staleWhileRevalidate` they are removed.
+   * @param {string} key
+   * @returns {{ value: any, stale: boolean }|null} The entry or null if not found/expired.
+   */
+  getEntry(key) {
     const fullKey = `${this.namespace}${key}`;
-    try {
-      const itemStr = localStorage.getItem(fullKey);
-      if (!itemStr) return null;
+    return this._run(
+      () =>
+        then(this.store.getItem(fullKey), (itemStr) => {
+          if (!itemStr) return null;
 
-      const item = JSON.parse(itemStr);
-      const now = Date.now();
+          const item = this.deserialize(itemStr);
+          const age = Date.now() - item.timestamp;
 
-      if (now - item.timestamp > this.maxAge) {
-        this.remove(key);
-        return null;
-      }
+          if (age > this.maxAge + this.staleWhileRevalidate) {
+            return then(this._removeKey(key), () => null);
+          }
 
-      this._promoteKey(key);
-      return item.value;
-    } catch (e) {
-      console.warn('Cache get failed', e);
-      return null;
-    }
+          return then(this._promoteKey(key), () => ({
+            value: item.value,
+            stale: age > this.maxAge,
+          }));
+        }),
+      null,
+      'Cache get failed'
+    );
   }
 
   /**
    * Move key to the end of the list to mark as recently used.
    * @private
    * @param {string} key
+   * @returns {void|Promise<void>}
    */
   _promoteKey(key) {
     const keyIndex = this.keys.indexOf(key);
     if (keyIndex > -1) {
       this.keys.splice(keyIndex, 1);
       this.keys.push(key);
-      this._saveKeys(this.keys);
+      return this._saveKeys();
     }
   }
 
+  /**
+   * Save the key list, and the item sizes when they changed, logging a failure.
+   * @private
+   * @param {boolean} [withSizes=false]
+   * @returns {void|Promise<void>}
+   */
+  _saveKeys(withSizes = false) {
+    const fail = (e) => console.warn('Failed to save cache keys', e);
+    try {
+      const saved = all([
+        this.store.setItem(`${this.namespace}keys`, JSON.stringify(this.keys)),
+        withSizes && this.store.setItem(`${this.namespace}sizes`, JSON.stringify(this.sizes)),
+      ]);
+      return isPromise(saved) ? saved.then(() => {}, fail) : undefined;
+    } catch (e) {
+      fail(e);
+    }
+  }
+
+  /**
+   * Take least recently used keys off the list until it is within the capacity and the
+   * byte budget. The newest item is kept for the budget, as `set()` checked that it fits.
+   * @private
+   * @returns {string[]} The evicted keys.
+   */
+  _evictKeys() {
+    const evicted = [];
+    while (
+      this.keys.length > this.capacity ||
+      (this.keys.length > 1 && this.bytes > this.maxBytes)
+    ) {
+      const oldestKey = this.keys.shift();
+      delete this.sizes[oldestKey];
+      evicted.push(oldestKey);
+    }
+    return evicted;
+  }
+
+  /**
+   * Write an item, evicting least recently used items while the store reports it is full.
+   * If the item does not fit on its own, its key is dropped and the error rethrown.
+   * @private
+   * @param {string} key
+   * @param {string} data - Serialized item.
+   * @returns {void|Promise<void>}
+   */
+  _write(key, data) {
+    const retry = (error) => {
+      const oldestKey = this.keys[0];
+      if (!isQuotaError(error) || oldestKey === key) {
+        this.keys = this.keys.filter((k) => k !== key);
+        delete this.sizes[key];
+        return then(this._saveKeys(true), () => {
+          throw error;
+        });
+      }
+      return then(this._removeKey(oldestKey), attempt);
+    };
+
+    const attempt = () => {
+      try {
+        const written = this.store.setItem(`${this.namespace}${key}`, data);
+        return isPromise(written) ? written.catch(retry) : written;
+      } catch (e) {
+        return retry(e);
+      }
+    };
+
+    return attempt();
+  }
+
   /**
    * Set an item in the cache.
+   * An item larger than `maxBytes` on its own is not cached, and replaces an older version.
    * @param {string} key
    * @param {any} value
+   * @returns {void|Promise<void>}
    */
   set(key, value) {
-    const fullKey = `${this.namespace}${key}`;
     const item = {
       value,
       timestamp: Date.now(),
     };
 
-    try {
-      const keyIndex = this.keys.indexOf(key);
-      if (keyIndex > -1) {
-        this.keys.splice(keyIndex, 1);
-      }
-      this.keys.push(key);
+    return this._run(
+      () => {
+        const data = this.serialize(item);
+        const size = data.length * 2;
+        if (size > this.maxBytes) {
+          return this._removeKey(key);
+        }
 
-      while (this.keys.length > this.capacity) {
-        const oldestKey = this.keys.shift();
-        localStorage.removeItem(`${this.namespace}${oldestKey}`);
-      }
+        const keyIndex = this.keys.indexOf(key);
+        if (keyIndex > -1) {
+          this.keys.splice(keyIndex, 1);
+        }
+        this.keys.push(key);
+        this.sizes[key] = size;
 
-      this._saveKeys(this.keys);
-      localStorage.setItem(fullKey, JSON.stringify(item));
-    } catch (e) {
-      console.warn('Cache set failed', e);
-    }
+        const removals = this._evictKeys().map((oldestKey) =>
+          this.store.removeItem(`${this.namespace}${oldestKey}`)
+        );
+
+        return then(all(removals), () => then(this._saveKeys(true), () => this._write(key, data)));
+      },
+      undefined,
+      'Cache set failed'
+    );
+  }
+
+  /**
+   * Remove an item and its key.
+   * @private
+   * @param {string} key
+   * @returns {void|Promise<void>}
+   */
+  _removeKey(key) {
+    return then(this.store.removeItem(`${this.namespace}${key}`), () => {
+      this.keys = this.keys.filter((k) => k !== key);
+      delete this.sizes[key];
+      return this._saveKeys(true);
+    });
   }
 
   /**
    * Remove a specific item.
    * @param {string} key
+   * @returns {void|Promise<void>}
    */
   remove(key) {
-    try {
-      localStorage.removeItem(`${this.namespace}${key}`);
-      const newKeys = this.keys.filter((k) => k !== key);
-      this._saveKeys(newKeys);
-    } catch (e) {
-      console.warn('Cache remove failed', e);
-    }
+    return this._run(() => this._removeKey(key), undefined, 'Cache remove failed');
   }
 
   /**
    * Clear all items in this namespace.
+   * @returns {void|Promise<void>}
    */
   clear() {
-    try {
-      this.keys.forEach((key) => {
-        localStorage.removeItem(`${this.namespace}${key}`);
-      });
-      localStorage.removeItem(`${this.namespace}keys`);
-      this.keys = [];
-    } catch (e) {
-      console.warn('Cache clear failed', e);
-    }
+    return this._run(
+      () => {
+        const removals = [...this.keys, 'keys', 'sizes'].map((key) =>
+          this.store.removeItem(`${this.namespace}${key}`)
+        );
+        return then(all(removals), () => {
+          this.keys = [];
+          this.sizes = {};
+        });
+      },
+      undefined,
+      'Cache clear failed'
+    );
+  }
+
+  /**
+   * Remove items in this namespace that are missing from the key index, and sizes of
+   * items that are no longer cached. Such orphans are left behind when tabs or processes
+   * sharing the store write the index at the same time. Runs when the cache is created.
+   * Stores that cannot list their keys (see `listKeys()`) are not swept.
+   * @returns {void|Promise<void>}
+   */
+  sweep() {
+    return this._run(
+      () =>
+        then(listKeys(this.store), (storedKeys) => {
+          if (!storedKeys) return;
+
+          // Read the index again, so items another tab added while the store was listed are kept.
+          return then(this._loadIndex(), () => {
+            const indexed = new Set([...this.keys, 'keys', 'sizes']);
+            const orphans = storedKeys.filter(
+              (fullKey) =>
+                fullKey.startsWith(this.namespace) &&
+                !indexed.has(fullKey.slice(this.namespace.length))
+            );
+            const staleSizes = Object.keys(this.sizes).filter((key) => !this.keys.includes(key));
+            staleSizes.forEach((key) => delete this.sizes[key]);
+
+            const removals = orphans.map((fullKey) => this.store.removeItem(fullKey));
+            return then(all(removals), () => {
+              if (staleSizes.length) return this._saveKeys(true);
+            });
+          });
+        }),
+      undefined,
+      'Cache sweep failed'
+    );
   }
 }
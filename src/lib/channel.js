@@ -0,0 +1,204 @@
+/**
+ * Parser for InnerTube `/browse` responses of channel pages.
+ * Handles both the classic `c4TabbedHeaderRenderer` header and the newer
+ * `pageHeaderViewModel` layout.
+ *
+ * @module channel
+ */
+
+import { getText, parseItemList } from './parser.js';
+import { parseCount } from './normalize.js';
+
+/**
+ * @typedef {Object} ChannelLink
+ * @property {string} title
+ * @property {string} url
+ */
+
+/**
+ * @typedef {Object} ChannelDetails
+ * @property {string} id
+ * @property {string} title
+ * @property {string} handle - e.g. '@LofiGirl', or '' if the channel has none.
+ * @property {string} url
+ * @property {string} description
+ * @property {import('./parser.js').Thumbnail[]} avatar
+ * @property {import('./parser.js').Thumbnail[]} banner
+ * @property {string} subscriberCount
+ * @property {number|null} subscriberCountValue - `subscriberCount` as a number.
+ * @property {string} videoCount
+ * @property {number|null} videoCountValue - `videoCount` as a number.
+ * @property {boolean} verified
+ * @property {boolean} isArtist
+ * @property {ChannelLink[]} links
+ * @property {string[]} keywords
+ */
+
+/**
+ * Turn a `/redirect?q=<target>` link back into its target URL.
+ * @param {string} url
+ * @returns {string}
+ */
+function unwrapRedirect(url = '') {
+  try {
+    const parsed = new URL(url, 'https://www.youtube.com');
+    if (parsed.pathname === '/redirect' && parsed.searchParams.get('q')) {
+      return parsed.searchParams.get('q');
+    }
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Split a keywords string ('lofi "hip hop" chill') into individual keywords.
+ * @param {string} keywords
+ * @returns {string[]}
+ */
+function splitKeywords(keywords = '') {
+  return (keywords.match(/"[^"]*"|\S+/g) || []).map((k) => k.replace(/"/g, ''));
+}
+
+/**
+ * Parse the classic channel header.
+ * @param {Object} header - c4TabbedHeaderRenderer
+ * @returns {Partial<ChannelDetails>}
+ */
+function parseC4Header(header) {
+  const badgeStyles = (header.badges || []).map((b) => b.metadataBadgeRenderer?.style);
+  const linkRenderer = header.headerLinks?.channelHeaderLinksRenderer || {};
+  const links = [...(linkRenderer.primaryLinks || []), ...(linkRenderer.secondaryLinks || [])];
+
+  return {
+    id: header.channelId,
+    title: header.title,
+    handle: getText(header.channelHandleText),
+    avatar: header.avatar?.thumbnails || [],
+    banner: header.banner?.thumbnails || [],
+    subscriberCount: getText(header.subscriberCountText),
+    videoCount: getText(header.videosCountText),
+    verified: badgeStyles.some((s) => s?.startsWith('BADGE_STYLE_TYPE_VERIFIED')),
+    isArtist: badgeStyles.includes('BADGE_STYLE_TYPE_VERIFIED_ARTIST'),
+    links: links.map((link) => ({
+      title: getText(link.title),
+      url: unwrapRedirect(link.navigationEndpoint?.urlEndpoint?.url),
+    })),
+  };
+}
+
+/**
+ * Parse the view-model based channel header.
+ * @param {Object} header - pageHeaderViewModel
+ * @returns {Partial<ChannelDetails>}
+ */
+function parsePageHeader(header) {
+  const titleText = header.title?.dynamicTextViewModel?.text || {};
+  const badgeIcons = (titleText.attachmentRuns || []).flatMap(
+    (run) =>
+      run.element?.type?.imageType?.image?.sources?.map((s) => s.clientResource?.imageName) || []
+  );
+
+  // Metadata rows hold the handle, subscriber count and video count as plain text parts.
+  const parts = (header.metadata?.contentMetadataViewModel?.metadataRows || [])
+    .flatMap((row) => row.metadataParts || [])
+    .map((part) => part.text?.content || '');
+
+  // Outside English the labels differ, but the counts follow the handle in this order.
+  const isEnglish = parts.some((p) => /subscriber|video/i.test(p));
+  const counts = parts.filter((p) => !p.startsWith('@') && /\d/.test(p));
+
+  const attribution = header.attribution?.attributionViewModel?.text;
+  const links = (attribution?.commandRuns || []).map((run) => ({
+    title: attribution.content.substring(run.startIndex, run.startIndex + run.length),
+    url: unwrapRedirect(run.onTap?.innertubeCommand?.urlEndpoint?.url),
+  }));
+
+  return {
+    title: titleText.content,
+    handle: parts.find((p) => p.startsWith('@')) || '',
+    avatar: header.image?.decoratedAvatarViewModel?.avatar?.avatarViewModel?.image?.sources || [],
+    banner: header.banner?.imageBannerViewModel?.image?.sources || [],
+    subscriberCount: (isEnglish ? parts.find((p) => /subscriber/i.test(p)) : counts[0]) || '',
+    videoCount: (isEnglish ? parts.find((p) => /video/i.test(p)) : counts[1]) || '',
+    verified: badgeIcons.some((name) => name === 'CHECK_CIRCLE_FILLED' || name === 'AUDIO_BADGE'),
+    isArtist: badgeIcons.includes('AUDIO_BADGE'),
+    description: header.description?.descriptionPreviewViewModel?.description?.content,
+    links,
+  };
+}
+
+/**
+ * Parse channel metadata from a browse response.
+ * @param {Object} response - Raw JSON response from `/browse`.
+ * @param {import('./parser.js').ParseOptions} [options]
+ * @returns {ChannelDetails}
+ */
+export function parseChannelMetadata(response, { hl } = {}) {
+  const metadata = response?.metadata?.channelMetadataRenderer || {};
+  const header = response?.header || {};
+
+  let parsedHeader = {};
+  if (header.c4TabbedHeaderRenderer) {
+    parsedHeader = parseC4Header(header.c4TabbedHeaderRenderer);
+  } else if (header.pageHeaderRenderer?.content?.pageHeaderViewModel) {
+    parsedHeader = parsePageHeader(header.pageHeaderRenderer.content.pageHeaderViewModel);
+  }
+
+  const id = parsedHeader.id || metadata.externalId;
+  const vanityHandle = metadata.vanityChannelUrl?.match(/\/(@[^/?#]+)/)?.[1] || '';
+
+  return {
+    id,
+    title: parsedHeader.title || metadata.title || '',
+    handle: parsedHeader.handle || vanityHandle,
+    url: `https://www.youtube.com/channel/${id}`,
+    description: parsedHeader.description || metadata.description || '',
+    avatar: parsedHeader.avatar?.length ? parsedHeader.avatar : metadata.avatar?.thumbnails || [],
+    banner: parsedHeader.banner || [],
+    subscriberCount: parsedHeader.subscriberCount || '',
+    subscriberCountValue: parseCount(parsedHeader.subscriberCount, hl),
+    videoCount: parsedHeader.videoCount || '',
+    videoCountValue: parseCount(parsedHeader.videoCount, hl),
+    verified: Boolean(parsedHeader.verified),
+    isArtist: Boolean(parsedHeader.isArtist),
+    links: parsedHeader.links || [],
+    keywords: splitKeywords(metadata.keywords),
+  };
+}
+
+/**
+ * Find the item list inside a tab's content.
+ * Video tabs use a rich grid; the Playlists tab nests a grid in a section list.
+ * @param {Object} content - tabRenderer.content
+ * @returns {Object[]}
+ */
+function getTabItems(content) {
+  if (content?.richGridRenderer) {
+    return content.richGridRenderer.contents || [];
+  }
+
+  const sections = content?.sectionListRenderer?.contents || [];
+  return sections.flatMap((section) =>
+    (section.itemSectionRenderer?.contents || []).flatMap(
+      (item) => item.gridRenderer?.items || item.shelfRenderer?.content?.gridRenderer?.items || []
+    )
+  );
+}
+
+/**
+ * Parse the selected tab of a channel browse response.
+ * @param {Object} response - Raw JSON response from `/browse`.
+ * @param {import('./parser.js').ParseOptions} [options]
+ * @returns {{
+ *   results: Object[],
+ *   continuationToken: string|null,
+ *   diagnostics: import('./parser.js').ParseDiagnostics
+ * }}
+ */
+export function parseChannelTab(response, options = {}) {
+  const tabs = response?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+  const selected = tabs.find((t) => t.tabRenderer?.selected)?.tabRenderer;
+
+  return parseItemList(getTabItems(selected?.content), options);
+}
@@ -0,0 +1,263 @@
+/**
+ * Parser for comment sections from the InnerTube `/next` endpoint.
+ * Comments arrive either as `commentRenderer` objects or, in the newer layout,
+ * as `commentViewModel` references into `frameworkUpdates` entity payloads.
+ *
+ * @module comments
+ */
+
+import { getText } from './parser.js';
+
+/**
+ * @typedef {Object} TextRun
+ * @property {string} text
+ * @property {string} [url] - Set when the run is a link.
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} id
+ * @property {string} text
+ * @property {TextRun[]} runs
+ * @property {string} author
+ * @property {string} authorChannelId
+ * @property {import('./parser.js').Thumbnail[]} authorThumbnails
+ * @property {string} likeCount - Display string, e.g. '1.2K'; '' when there are no likes.
+ * @property {number} replyCount
+ * @property {string} publishedTime - e.g. '3 weeks ago (edited)'.
+ * @property {boolean} isPinned
+ * @property {boolean} isHearted - Hearted by the video's creator.
+ * @property {boolean} isCreator - Written by the video's creator.
+ * @property {string|null} repliesToken - Continuation token for the replies.
+ */
+
+/**
+ * Get the URL a navigation endpoint points to.
+ * @param {Object} endpoint
+ * @returns {string|undefined}
+ */
+function endpointUrl(endpoint) {
+  const url =
+    endpoint?.urlEndpoint?.url || endpoint?.commandMetadata?.webCommandMetadata?.url || undefined;
+  return url?.startsWith('/') ? `https://www.youtube.com${url}` : url;
+}
+
+/**
+ * Get the token of a continuation item, which is either an endpoint or a "Show more" button.
+ * @param {Object} renderer - continuationItemRenderer
+ * @returns {string|null}
+ */
+function continuationToken(renderer) {
+  return (
+    renderer?.continuationEndpoint?.continuationCommand?.token ||
+    renderer?.button?.buttonRenderer?.command?.continuationCommand?.token ||
+    null
+  );
+}
+
+/**
+ * Get the replies continuation token from a comment thread.
+ * @param {Object} thread - commentThreadRenderer
+ * @returns {string|null}
+ */
+function repliesToken(thread) {
+  const contents = thread?.replies?.commentRepliesRenderer?.contents || [];
+  const item = contents.find((c) => c.continuationItemRenderer);
+  return continuationToken(item?.continuationItemRenderer);
+}
+
+/**
+ * Parse a classic comment renderer.
+ * @param {Object} comment - commentRenderer
+ * @param {Object} [thread] - Enclosing commentThreadRenderer.
+ * @returns {Comment}
+ */
+function parseCommentRenderer(comment, thread) {
+  const runs = (comment.contentText?.runs || []).map((run) => {
+    const url = endpointUrl(run.navigationEndpoint);
+    return url ? { text: run.text, url } : { text: run.text };
+  });
+
+  return {
+    id: comment.commentId,
+    text: getText(comment.contentText),
+    runs,
+    author: getText(comment.authorText),
+    authorChannelId: comment.authorEndpoint?.browseEndpoint?.browseId || '',
+    authorThumbnails: comment.authorThumbnail?.thumbnails || [],
+    likeCount: getText(comment.voteCount),
+    replyCount: Number(comment.replyCount || 0),
+    publishedTime: getText(comment.publishedTimeText),
+    isPinned: Boolean(comment.pinnedCommentBadge),
+    isHearted: Boolean(
+      comment.actionButtons?.commentActionButtonsRenderer?.creatorHeart?.creatorHeartRenderer
+        ?.isHearted
+    ),
+    isCreator: Boolean(comment.authorIsChannelOwner),
+    repliesToken: repliesToken(thread),
+  };
+}
+
+/**
+ * Split view-model content into runs using its command runs (links).
+ * @param {Object} content - { content, commandRuns }
+ * @returns {TextRun[]}
+ */
+function contentRuns(content) {
+  const text = content?.content || '';
+  const runs = [];
+  let index = 0;
+
+  for (const command of content?.commandRuns || []) {
+    if (command.startIndex > index) {
+      runs.push({ text: text.substring(index, command.startIndex) });
+    }
+    const end = command.startIndex + command.length;
+    const url = endpointUrl(command.onTap?.innertubeCommand);
+    const run = { text: text.substring(command.startIndex, end) };
+    runs.push(url ? { ...run, url } : run);
+    index = end;
+  }
+
+  if (index < text.length) {
+    runs.push({ text: text.substring(index) });
+  }
+  return runs;
+}
+
+/**
+ * Parse a comment view model, looking its data up in the entity payloads.
+ * @param {Object} viewModel - commentViewModel
+ * @param {Object} [thread] - Enclosing commentThreadRenderer.
+ * @param {Map<string, Object>} entities - Entity payloads by key.
+ * @returns {Comment|null}
+ */
+function parseCommentViewModel(viewModel, thread, entities) {
+  const entity = entities.get(viewModel.commentKey)?.commentEntityPayload;
+  if (!entity) return null;
+
+  const { properties = {}, author = {}, toolbar = {} } = entity;
+  const toolbarState = entities.get(viewModel.toolbarStateKey)?.engagementToolbarStateEntityPayload;
+
+  return {
+    id: properties.commentId || viewModel.commentId,
+    text: properties.content?.content || '',
+    runs: contentRuns(properties.content),
+    author: author.displayName || '',
+    authorChannelId: author.channelId || '',
+    authorThumbnails: author.avatarThumbnailUrl ? [{ url: author.avatarThumbnailUrl }] : [],
+    likeCount: toolbar.likeCountNotliked?.trim() || '',
+    replyCount: Number(toolbar.replyCount || 0),
+    publishedTime: properties.publishedTime || '',
+    isPinned: Boolean(viewModel.pinnedText),
+    isHearted: toolbarState?.heartState === 'TOOLBAR_HEART_STATE_HEARTED',
+    isCreator: Boolean(author.isCreator),
+    repliesToken: repliesToken(thread),
+  };
+}
+
+/**
+ * Parse a comment item: a thread, or a bare comment as found in reply pages.
+ * @param {Object} item
+ * @param {Map<string, Object>} entities
+ * @returns {Comment|null}
+ */
+function parseCommentItem(item, entities) {
+  const thread = item.commentThreadRenderer;
+  const container = thread || item;
+
+  if (container.commentViewModel) {
+    // Threads nest the view model one level deeper than reply pages do.
+    const viewModel = container.commentViewModel.commentViewModel || container.commentViewModel;
+    return parseCommentViewModel(viewModel, thread, entities);
+  }
+
+  const comment = container.comment?.commentRenderer || container.commentRenderer;
+  return comment ? parseCommentRenderer(comment, thread) : null;
+}
+
+/**
+ * Find the continuation token that loads the comment section of a watch page.
+ * @param {Object} next - Raw JSON response from `/next` for a video.
+ * @param {string} [sort='top'] - 'top' or 'newest'.
+ * @returns {string|null} The token, or null if comments are disabled.
+ */
+export function findCommentsContinuation(next, sort = 'top') {
+  // The comments engagement panel carries a sort menu with one token per order.
+  const panel = (next?.engagementPanels || [])
+    .map((p) => p.engagementPanelSectionListRenderer)
+    .find((p) => p?.panelIdentifier === 'engagement-panel-comments-section');
+  const sortItems =
+    panel?.header?.engagementPanelTitleHeaderRenderer?.menu?.sortFilterSubMenuRenderer
+      ?.subMenuItems || [];
+  const sortItem = sortItems[sort === 'newest' ? 1 : 0];
+  if (sortItem?.serviceEndpoint?.continuationCommand?.token) {
+    return sortItem.serviceEndpoint.continuationCommand.token;
+  }
+
+  const contents = next?.contents?.twoColumnWatchNextResults?.results?.results?.contents || [];
+  const section = contents.find(
+    (c) => c.itemSectionRenderer?.sectionIdentifier === 'comment-item-section'
+  )?.itemSectionRenderer;
+  const item = (section?.contents || []).find((c) => c.continuationItemRenderer);
+  return continuationToken(item?.continuationItemRenderer);
+}
+
+/**
+ * Parse a comments (or replies) continuation response.
+ * @param {Object} response - Raw JSON response from `/next` with a continuation.
+ * @returns {{
+ *   results: Comment[],
+ *   continuationToken: string|null,
+ *   totalCount: string,
+ *   sort: string|null,
+ *   sortTokens: { top?: string, newest?: string }
+ * }}
+ */
+export function parseCommentsPage(response) {
+  const actions = response?.onResponseReceivedEndpoints || [];
+  const items = actions.flatMap(
+    (a) =>
+      a.reloadContinuationItemsCommand?.continuationItems ||
+      a.appendContinuationItemsAction?.continuationItems ||
+      []
+  );
+
+  const entities = new Map();
+  for (const mutation of response?.frameworkUpdates?.entityBatchUpdate?.mutations || []) {
+    entities.set(mutation.entityKey, mutation.payload);
+  }
+
+  const results = [];
+  let nextToken = null;
+  let header = null;
+
+  for (const item of items) {
+    if (item.commentsHeaderRenderer) {
+      header = item.commentsHeaderRenderer;
+    } else if (item.continuationItemRenderer) {
+      nextToken = continuationToken(item.continuationItemRenderer);
+    } else {
+      const comment = parseCommentItem(item, entities);
+      if (comment) results.push(comment);
+    }
+  }
+
+  // The header's sort menu lists "Top comments" then "Newest first".
+  const sortItems = header?.sortMenu?.sortFilterSubMenuRenderer?.subMenuItems || [];
+  const sortTokens = {};
+  let sort = null;
+  sortItems.slice(0, 2).forEach((menuItem, index) => {
+    const name = index === 0 ? 'top' : 'newest';
+    sortTokens[name] = menuItem.serviceEndpoint?.continuationCommand?.token;
+    if (menuItem.selected) sort = name;
+  });
+
+  return {
+    results,
+    continuationToken: nextToken,
+    totalCount: getText(header?.countText),
+    sort,
+    sortTokens,
+  };
+}
@@ -20,3 +20,21 @@ export const DEFAULT_CLIENT_CONTEXT = {
 };
 
 export const SEARCH_ENDPOINT = '/search';
+export const PLAYER_ENDPOINT = '/player';
+export const NEXT_ENDPOINT = '/next';
+export const BROWSE_ENDPOINT = '/browse';
+
+export const SUGGEST_URL = 'https://suggestqueries-clients6.youtube.com/complete/search';
+
+// Suggestions change quickly; keep them for a few minutes only.
+export const SUGGEST_CACHE_MAX_AGE = 5 * 60 * 1000;
+export const RESOLVE_URL_ENDPOINT = '/navigation/resolve_url';
+export const GET_TRANSCRIPT_ENDPOINT = '/get_transcript';
+
+// `params` values the web client sends to open each channel tab.
+export const CHANNEL_TAB_PARAMS = {
+  videos: 'EgZ2aWRlb3PyBgQKAjoA',
+  shorts: 'EgZzaG9ydHPyBgUKA5oBAA==',
+  live: 'EgdzdHJlYW1z8gYECgJ6AA==',
+  playlists: 'EglwbGF5bGlzdHPyBgQKAkIA',
+};
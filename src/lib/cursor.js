@@ -0,0 +1,52 @@
+/**
+ * Opaque pagination cursors.
+ * A cursor wraps an InnerTube continuation token together with the context
+ * needed to interpret the next page, so pagination can resume statelessly
+ * (e.g. across HTTP requests to a server API).
+ *
+ * @module cursor
+ */
+
+import { InvalidCursorError } from './errors.js';
+
+const CURSOR_VERSION = 1;
+
+/**
+ * @typedef {Object} CursorState
+ * @property {string} kind - Which client method produced the cursor (e.g. 'search').
+ * @property {string} token - InnerTube continuation token.
+ */
+
+/**
+ * Serialize cursor state to a URL-safe string.
+ * @param {CursorState & Object} state
+ * @returns {string}
+ */
+export function encodeCursor(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ v: CURSOR_VERSION, ...state }));
+  const binary = Array.from(bytes, (b) => String.fromCharCode(b)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Parse a cursor produced by `encodeCursor`.
+ * @param {string} cursor
+ * @param {string} kind - Expected cursor kind.
+ * @returns {CursorState & Object}
+ * @throws {InvalidCursorError} If the cursor is malformed or of another kind.
+ */
+export function decodeCursor(cursor, kind) {
+  let state;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    state = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (cause) {
+    throw new InvalidCursorError('Invalid cursor', { kind, cause });
+  }
+
+  if (!state || state.v !== CURSOR_VERSION || state.kind !== kind || !state.token) {
+    throw new InvalidCursorError('Invalid cursor', { kind });
+  }
+  return state;
+}
@@ -0,0 +1,218 @@
+/**
+ * Error classes thrown by the client.
+ * Every error has a stable `code`. `instanceof` checks the codes of an error instead of its
+ * prototype chain, so it also recognizes errors created in another realm, such as an iframe,
+ * or by a second copy of the library in a bundle.
+ *
+ * @module errors
+ */
+
+// Registered globally, so every realm and every copy of the library shares it.
+const CODES = Symbol.for('yt-search-lib.errorCodes');
+
+/**
+ * Base class of all errors thrown by the library.
+ */
+export class YouTubeError extends Error {
+  static code = 'ERR_YOUTUBE';
+
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {any} [options.cause]
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'YouTubeError';
+    /** @type {string} */
+    this.code = new.target.code;
+
+    const codes = [];
+    for (let type = new.target; type && type.code; type = Object.getPrototypeOf(type)) {
+      codes.push(type.code);
+    }
+    Object.defineProperty(this, CODES, { value: codes });
+  }
+
+  /**
+   * @param {any} value
+   * @returns {boolean} Whether the value is an error of this class or a subclass.
+   */
+  static [Symbol.hasInstance](value) {
+    return Array.isArray(value?.[CODES]) && value[CODES].includes(this.code);
+  }
+}
+
+/**
+ * The request did not reach YouTube: offline, DNS failure, connection reset, blocked by CORS.
+ */
+export class NetworkError extends YouTubeError {
+  static code = 'ERR_NETWORK';
+
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The CORS proxy could not be reached.
+ */
+export class ProxyError extends NetworkError {
+  static code = 'ERR_PROXY';
+
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string|function} options.proxyUrl - The proxy as configured.
+   * @param {any} [options.cause]
+   */
+  constructor(message, { proxyUrl, cause }) {
+    super(message, { cause });
+    this.name = 'ProxyError';
+    this.proxyUrl = proxyUrl;
+  }
+}
+
+/**
+ * YouTube, or the proxy in between, answered with an error status.
+ */
+export class HttpError extends YouTubeError {
+  static code = 'ERR_HTTP';
+
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.url - URL of the request, without the proxy.
+   * @param {number} options.status
+   * @param {string} [options.statusText]
+   * @param {string} [options.body] - Response text.
+   * @param {Object<string, string>} [options.headers] - Response headers, with lower-case names.
+   */
+  constructor(message, { url, status, statusText = '', body = '', headers = {} }) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * YouTube answered 429 Too Many Requests, and retries did not help.
+ */
+export class RateLimitError extends HttpError {
+  static code = 'ERR_RATE_LIMITED';
+
+  /**
+   * @param {string} message
+   * @param {Object} options - As for `HttpError`, and:
+   * @param {number|null} [options.retryAfter] - Milliseconds to wait, from the Retry-After
+   *   header, or null without one.
+   */
+  constructor(message, { retryAfter = null, ...response }) {
+    super(message, response);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error thrown in strict mode when a response does not have the expected shape.
+ */
+export class ParseError extends YouTubeError {
+  static code = 'ERR_PARSE';
+
+  /**
+   * @param {string} message
+   * @param {import('./parser.js').ParseDiagnostics} diagnostics - Report up to the point of failure.
+   * @param {Object} [options]
+   * @param {Error} [options.cause]
+   */
+  constructor(message, diagnostics, options) {
+    super(message, options);
+    this.name = 'ParseError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * What was asked for does not exist: a channel handle that resolves to nothing, or a video
+ * without a transcript in the requested language.
+ */
+export class NotFoundError extends YouTubeError {
+  static code = 'ERR_NOT_FOUND';
+
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {'channel'|'transcript'} options.resource - Kind of thing that was not found.
+   * @param {string} options.id - Channel ID or handle, or video ID.
+   * @param {string} [options.lang] - Requested transcript language, if any.
+   */
+  constructor(message, { resource, id, lang }) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.resource = resource;
+    this.id = id;
+    this.lang = lang ?? null;
+  }
+}
+
+/**
+ * A pagination cursor is malformed, or was produced by another method than the one it was
+ * passed to.
+ */
+export class InvalidCursorError extends YouTubeError {
+  static code = 'ERR_INVALID_CURSOR';
+
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.kind - Which client method the cursor was expected from.
+   * @param {Error} [options.cause]
+   */
+  constructor(message, { kind, cause }) {
+    super(message, { cause });
+    this.name = 'InvalidCursorError';
+    this.kind = kind;
+  }
+}
+
+/**
+ * The call was cancelled through its `signal`.
+ */
+export class AbortError extends YouTubeError {
+  static code = 'ERR_ABORTED';
+
+  constructor(message = 'The operation was aborted', options) {
+    super(message, options);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * The call ran out of its `timeout`.
+ */
+export class TimeoutError extends YouTubeError {
+  static code = 'ERR_TIMEOUT';
+
+  constructor(message = 'The operation timed out', options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Turn the reason of an aborted signal into an `AbortError` or `TimeoutError`.
+ * Errors of this library pass through; anything else becomes the `cause`.
+ * @param {any} reason - e.g. the `AbortError` or `TimeoutError` DOMException of a signal.
+ * @returns {YouTubeError}
+ */
+export function toAbortError(reason) {
+  if (reason instanceof YouTubeError) return reason;
+  if (reason?.name === 'TimeoutError') return new TimeoutError(reason.message, { cause: reason });
+  return new AbortError(undefined, { cause: reason });
+}
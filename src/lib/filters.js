@@ -0,0 +1,161 @@
+/**
+ * Search filter encoding for the InnerTube `params` field.
+ * YouTube expects filters as a base64-encoded protobuf message, the same
+ * value the web client puts in the `sp=` query parameter of a results page.
+ *
+ * @module filters
+ */
+
+/**
+ * Sort order values (SearchParams field 1).
+ */
+export const SORT_BY = {
+  relevance: 0,
+  rating: 1,
+  date: 2,
+  views: 3,
+};
+
+/**
+ * Upload date values (Filters field 1).
+ */
+export const UPLOAD_DATE = {
+  hour: 1,
+  today: 2,
+  week: 3,
+  month: 4,
+  year: 5,
+};
+
+/**
+ * Result type values (Filters field 2).
+ * Mixes have no server-side filter (0); they are filtered client-side.
+ */
+export const RESULT_TYPE = {
+  video: 1,
+  channel: 2,
+  playlist: 3,
+  movie: 4,
+  short: 9,
+  mix: 0,
+};
+
+/**
+ * Duration values (Filters field 3).
+ */
+export const DURATION = {
+  short: 1, // Under 4 minutes
+  long: 2, // Over 20 minutes
+  medium: 3, // 4 - 20 minutes
+};
+
+/**
+ * Feature flags, mapped to their Filters field numbers.
+ */
+export const FEATURES = {
+  hd: 4,
+  subtitles: 5,
+  creativeCommons: 6,
+  live: 8,
+  '4k': 14,
+  360: 15,
+  hdr: 25,
+};
+
+/**
+ * Encode a number as a protobuf varint.
+ * @param {number} value
+ * @returns {number[]}
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining > 0x7f) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining >>>= 7;
+  }
+  bytes.push(remaining);
+  return bytes;
+}
+
+/**
+ * Encode a varint field (wire type 0).
+ * @param {number} field
+ * @param {number} value
+ * @returns {number[]}
+ */
+function encodeVarintField(field, value) {
+  return [...encodeVarint(field << 3), ...encodeVarint(value)];
+}
+
+/**
+ * Encode a length-delimited field (wire type 2).
+ * @param {number} field
+ * @param {number[]} bytes
+ * @returns {number[]}
+ */
+function encodeBytesField(field, bytes) {
+  return [...encodeVarint((field << 3) | 2), ...encodeVarint(bytes.length), ...bytes];
+}
+
+/**
+ * Look up a filter value, throwing on unknown names.
+ * @param {Object} table
+ * @param {string} name - Filter name used in error messages.
+ * @param {string} value
+ * @returns {number}
+ */
+function lookup(table, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(table, value)) {
+    throw new Error(`Invalid ${name} filter: ${value}`);
+  }
+  return table[value];
+}
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string} [type] - 'video', 'short', 'movie', 'channel', 'playlist', 'mix' or 'all'.
+ * @property {string} [uploadDate] - 'hour', 'today', 'week', 'month' or 'year'.
+ * @property {string} [duration] - 'short', 'medium' or 'long'.
+ * @property {string} [sortBy] - 'relevance', 'date', 'views' or 'rating'.
+ * @property {string[]} [features] - Any of 'live', '4k', 'hd', 'subtitles',
+ *   'creativeCommons', '360', 'hdr'.
+ */
+
+/**
+ * Encode search filters into the base64 `params` value for `/search`.
+ * @param {SearchFilters} filters
+ * @returns {string|undefined} Encoded params, or undefined if no filter is set.
+ */
+export function encodeSearchParams({ type, uploadDate, duration, sortBy, features = [] } = {}) {
+  const filterBytes = [];
+
+  if (uploadDate) {
+    filterBytes.push(...encodeVarintField(1, lookup(UPLOAD_DATE, 'uploadDate', uploadDate)));
+  }
+  const resultType = type && type !== 'all' ? lookup(RESULT_TYPE, 'type', type) : 0;
+  if (resultType) {
+    filterBytes.push(...encodeVarintField(2, resultType));
+  }
+  if (duration) {
+    filterBytes.push(...encodeVarintField(3, lookup(DURATION, 'duration', duration)));
+  }
+
+  // Protobuf readers accept fields in any order, but YouTube emits them sorted.
+  const featureFields = features.map((f) => lookup(FEATURES, 'features', f)).sort((a, b) => a - b);
+  for (const field of new Set(featureFields)) {
+    filterBytes.push(...encodeVarintField(field, 1));
+  }
+
+  const bytes = [];
+  const sort = sortBy ? lookup(SORT_BY, 'sortBy', sortBy) : 0;
+  if (sort) {
+    bytes.push(...encodeVarintField(1, sort));
+  }
+  if (filterBytes.length) {
+    bytes.push(...encodeBytesField(2, filterBytes));
+  }
+
+  if (!bytes.length) return undefined;
+  return btoa(String.fromCharCode(...bytes));
+}
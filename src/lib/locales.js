@@ -0,0 +1,286 @@
+/**
+ * Locale table for parsing YouTube's display strings, keyed by `hl`.
+ * Each entry describes how one interface language writes numbers,
+ * abbreviated counts and relative dates.
+ *
+ * @module locales
+ */
+
+/**
+ * Build a regex matching `text` as a whole word, including non-ASCII letters.
+ * @param {string} text
+ * @returns {RegExp}
+ */
+function word(text) {
+  return new RegExp(`(?<!\\p{L})${text}(?!\\p{L})`, 'u');
+}
+
+/**
+ * @typedef {Object} Locale
+ * @property {string} decimal - Decimal separator; every other separator is a digit group.
+ * @property {Array<[string, number]>} multipliers - Count abbreviations (lower case) and
+ *   their values, tried in order.
+ * @property {RegExp} none - Matches zero counts such as 'No views'.
+ * @property {RegExp} ago - Marks a relative date in the past.
+ * @property {RegExp} streamed - Marks the date of a finished live stream ('Streamed 2 days ago').
+ * @property {Object<string, string[]>} units - Word stems (lower case) of each time unit.
+ */
+
+/**
+ * @type {Object<string, Locale>}
+ */
+export const LOCALES = {
+  en: {
+    decimal: '.',
+    multipliers: [
+      ['k', 1e3],
+      ['m', 1e6],
+      ['b', 1e9],
+    ],
+    none: /^no\s/i,
+    ago: word('ago'),
+    streamed: /^streamed\s/i,
+    units: {
+      second: ['second'],
+      minute: ['minute'],
+      hour: ['hour'],
+      day: ['day'],
+      week: ['week'],
+      month: ['month'],
+      year: ['year'],
+    },
+  },
+  de: {
+    decimal: ',',
+    multipliers: [
+      ['tsd', 1e3],
+      ['mio', 1e6],
+      ['mrd', 1e9],
+    ],
+    none: /^keine\s/i,
+    ago: word('vor'),
+    streamed: /^live übertragen\s/i,
+    units: {
+      second: ['sekunde'],
+      minute: ['minute'],
+      hour: ['stunde'],
+      day: ['tag'],
+      week: ['woche'],
+      month: ['monat'],
+      year: ['jahr'],
+    },
+  },
+  fr: {
+    decimal: ',',
+    multipliers: [
+      ['md', 1e9],
+      ['k', 1e3],
+      ['m', 1e6],
+    ],
+    none: /^aucune?\s/i,
+    ago: /il y a/i,
+    streamed: /^diffusé\s/i,
+    units: {
+      second: ['seconde'],
+      minute: ['minute'],
+      hour: ['heure'],
+      day: ['jour'],
+      week: ['semaine'],
+      month: ['mois'],
+      year: ['an'],
+    },
+  },
+  es: {
+    decimal: ',',
+    multipliers: [
+      // "1,2 mil M" is 1.2 billion (mil millones).
+      ['mil m', 1e9],
+      ['mil', 1e3],
+      ['k', 1e3],
+      ['m', 1e6],
+    ],
+    none: /^sin\s/i,
+    ago: word('hace'),
+    streamed: /^(emitido|transmitido)\s/i,
+    units: {
+      second: ['segundo'],
+      minute: ['minuto'],
+      hour: ['hora'],
+      day: ['día', 'dia'],
+      week: ['semana'],
+      month: ['mes'],
+      year: ['año'],
+    },
+  },
+  pt: {
+    decimal: ',',
+    multipliers: [
+      ['mil', 1e3],
+      ['mi', 1e6],
+      ['bi', 1e9],
+    ],
+    none: /^nenhuma?\s/i,
+    ago: word('há'),
+    streamed: /^transmitido\s/i,
+    units: {
+      second: ['segundo'],
+      minute: ['minuto'],
+      hour: ['hora'],
+      day: ['dia'],
+      week: ['semana'],
+      month: ['mês', 'mes'],
+      year: ['ano'],
+    },
+  },
+  it: {
+    decimal: ',',
+    multipliers: [
+      ['mila', 1e3],
+      ['mln', 1e6],
+      ['mld', 1e9],
+    ],
+    none: /^nessuna?\s/i,
+    ago: word('fa'),
+    streamed: /^trasmesso\s/i,
+    units: {
+      second: ['second'],
+      minute: ['minut'],
+      hour: ['ora', 'ore'],
+      day: ['giorn'],
+      week: ['settiman'],
+      month: ['mes'],
+      year: ['ann'],
+    },
+  },
+  nl: {
+    decimal: ',',
+    multipliers: [
+      ['k', 1e3],
+      ['mln', 1e6],
+      ['mld', 1e9],
+    ],
+    none: /^geen\s/i,
+    ago: word('geleden'),
+    streamed: /gestreamd$/i,
+    units: {
+      second: ['seconde'],
+      minute: ['minu'],
+      hour: ['uur'],
+      day: ['dag'],
+      week: ['week', 'weken'],
+      month: ['maand'],
+      year: ['jaar'],
+    },
+  },
+  ru: {
+    decimal: ',',
+    multipliers: [
+      ['тыс', 1e3],
+      ['млрд', 1e9],
+      ['млн', 1e6],
+    ],
+    none: /^нет\s/i,
+    ago: word('назад'),
+    streamed: /^трансляция закончилась\s/i,
+    units: {
+      second: ['секунд'],
+      minute: ['минут'],
+      hour: ['час'],
+      day: ['день', 'дн'],
+      week: ['недел'],
+      month: ['месяц'],
+      year: ['год', 'лет'],
+    },
+  },
+  tr: {
+    decimal: ',',
+    multipliers: [
+      // "B" is bin (thousand) in Turkish.
+      ['b', 1e3],
+      ['mn', 1e6],
+      ['mr', 1e9],
+    ],
+    none: word('yok'),
+    ago: word('önce'),
+    streamed: /yayınlandı$/i,
+    units: {
+      second: ['saniye'],
+      minute: ['dakika'],
+      hour: ['saat'],
+      day: ['gün'],
+      week: ['hafta'],
+      month: ['ay'],
+      year: ['yıl'],
+    },
+  },
+  ja: {
+    decimal: '.',
+    multipliers: [
+      ['万', 1e4],
+      ['億', 1e8],
+    ],
+    none: /^視聴なし/,
+    ago: /前/,
+    streamed: /配信済み/,
+    units: {
+      second: ['秒'],
+      minute: ['分'],
+      hour: ['時間'],
+      day: ['日'],
+      week: ['週'],
+      month: ['か月', 'ヶ月', 'カ月', 'ケ月'],
+      year: ['年'],
+    },
+  },
+  ko: {
+    decimal: '.',
+    multipliers: [
+      ['천', 1e3],
+      ['만', 1e4],
+      ['억', 1e8],
+    ],
+    none: /없음/,
+    ago: /전/,
+    streamed: /스트리밍/,
+    units: {
+      second: ['초'],
+      minute: ['분'],
+      hour: ['시간'],
+      day: ['일'],
+      week: ['주'],
+      month: ['개월'],
+      year: ['년'],
+    },
+  },
+  // Covers both simplified (zh-CN) and traditional (zh-TW, zh-HK) characters.
+  zh: {
+    decimal: '.',
+    multipliers: [
+      ['万', 1e4],
+      ['萬', 1e4],
+      ['亿', 1e8],
+      ['億', 1e8],
+    ],
+    none: /^(无人观看|沒有人觀看)/,
+    ago: /前/,
+    streamed: /直播/,
+    units: {
+      second: ['秒'],
+      minute: ['分'],
+      hour: ['小时', '小時'],
+      day: ['天'],
+      week: ['周', '週'],
+      month: ['个月', '個月'],
+      year: ['年'],
+    },
+  },
+};
+
+/**
+ * Get the locale for an `hl` value, falling back to its base language, then English.
+ * @param {string} [hl] - e.g. 'de', 'pt-BR', 'zh-TW'.
+ * @returns {Locale}
+ */
+export function getLocale(hl) {
+  return LOCALES[hl] || LOCALES[hl?.split('-')[0]] || LOCALES.en;
+}
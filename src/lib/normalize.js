@@ -0,0 +1,123 @@
+/**
+ * Normalization of display strings into numbers and dates.
+ * YouTube renders counts, durations and dates as localized text
+ * ("1.2M views", "1,2 Mio. Aufrufe", "3 weeks ago", "vor 3 Wochen"); these
+ * helpers turn them into values using the locale table for the `hl` in use.
+ *
+ * @module normalize
+ */
+
+import { getLocale } from './locales.js';
+
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+
+// Digits with any of the group and decimal separators used across locales
+// (`\s` includes the no-break spaces French and Russian group digits with).
+const NUMBER_PATTERN = /\d[\d\s.,']*/;
+const SEPARATORS_PATTERN = /[\s.,']/g;
+// An abbreviation must not run into another word ("5 books" is not 5 billion).
+// Scripts without spaces (CJK) put the abbreviation directly before the next word.
+const LETTER_PATTERN = /[\p{Script=Latin}\p{Script=Cyrillic}]/u;
+
+/**
+ * Find the "<number> <unit>" pairs in a text, e.g. '1 hour, 2 minutes'.
+ * @param {string} text
+ * @param {import('./locales.js').Locale} locale
+ * @returns {Array<{ amount: number, unit: string }>}
+ */
+function findUnits(text, locale) {
+  const pairs = [];
+  for (const [, amount, unitWord] of text.toLowerCase().matchAll(/(\d+)\s*(\p{L}+)/gu)) {
+    const unit = Object.keys(locale.units).find((name) =>
+      locale.units[name].some((stem) => unitWord.startsWith(stem))
+    );
+    if (unit) pairs.push({ amount: Number(amount), unit });
+  }
+  return pairs;
+}
+
+/**
+ * Parse a count string, e.g. '1,234,567 views' -> 1234567, '1.2M subscribers' -> 1200000,
+ * '1,2 Mio. Aufrufe' -> 1200000 (hl 'de'), '1.2万回視聴' -> 12000 (hl 'ja').
+ * @param {string|number} text
+ * @param {string} [hl='en'] - Interface language the text is written in.
+ * @returns {number|null} The count, 0 for 'No views', or null if there is no number.
+ */
+export function parseCount(text, hl) {
+  if (typeof text === 'number') return text;
+  const value = String(text ?? '').trim();
+  const locale = getLocale(hl);
+  if (locale.none.test(value)) return 0;
+
+  const match = value.match(NUMBER_PATTERN);
+  if (!match) return null;
+
+  // Everything but the decimal separator groups digits; trailing separators end the number.
+  const number = match[0]
+    .replace(/[\s.,']+$/, '')
+    .split(locale.decimal)
+    .map((part) => part.replace(SEPARATORS_PATTERN, ''))
+    .join('.');
+
+  const rest = value.slice(match.index + match[0].length).toLowerCase();
+  const multiplier = locale.multipliers.find(
+    ([abbreviation]) =>
+      rest.startsWith(abbreviation) && !LETTER_PATTERN.test(rest.charAt(abbreviation.length))
+  );
+
+  return Math.round(Number(number) * (multiplier ? multiplier[1] : 1));
+}
+
+/**
+ * Parse a duration, either clock-style ('12:34' -> 754, '1:02:03' -> 3723) or
+ * spelled out ('1 hour, 2 minutes' -> 3720).
+ * @param {string} text
+ * @param {string} [hl='en'] - Interface language the text is written in.
+ * @returns {number|null} Seconds, or null for non-durations such as 'LIVE'.
+ */
+export function parseDuration(text, hl) {
+  const value = String(text ?? '').trim();
+  if (/^\d+(:\d{1,2})+$/.test(value)) {
+    return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  const pairs = findUnits(value, getLocale(hl));
+  if (!pairs.length) return null;
+  return pairs.reduce((total, { amount, unit }) => total + (amount * UNIT_MS[unit]) / 1000, 0);
+}
+
+/**
+ * Estimate an absolute date from a relative one, e.g. '3 weeks ago' or 'vor 3 Wochen'.
+ * Months and years are approximated as 30 and 365 days.
+ * @param {string} text - Relative date, optionally prefixed ('Streamed 2 days ago').
+ * @param {number} [now=Date.now()] - Reference time in ms.
+ * @param {string} [hl='en'] - Interface language the text is written in.
+ * @returns {string|null} ISO timestamp, or null if the text is not a relative date.
+ */
+export function estimatePublishedAt(text, now = Date.now(), hl) {
+  const value = String(text ?? '');
+  const locale = getLocale(hl);
+  if (!locale.ago.test(value)) return null;
+
+  const [pair] = findUnits(value, locale);
+  if (!pair) return null;
+  return new Date(now - pair.amount * UNIT_MS[pair.unit]).toISOString();
+}
+
+/**
+ * Check whether a published date belongs to a finished live stream, e.g. 'Streamed 2 days ago'.
+ * @param {string} text
+ * @param {string} [hl='en'] - Interface language the text is written in.
+ * @returns {boolean}
+ */
+export function isStreamedText(text, hl) {
+  return getLocale(hl).streamed.test(String(text ?? '').trim());
+}
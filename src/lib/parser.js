@@ -5,6 +5,9 @@
  * @module parser
  */
 
+import { parseCount, parseDuration, estimatePublishedAt, isStreamedText } from './normalize.js';
+import { ParseError } from './errors.js';
+
 /**
  * @typedef {Object} Thumbnail
  * @property {string} url
@@ -15,13 +18,38 @@
 /**
  * @typedef {Object} VideoResult
  * @property {string} id
- * @property {string} type - 'video', 'playlist', 'channel'
+ * @property {string} type - 'video', 'short', 'movie', 'playlist', 'mix' or 'channel'
  * @property {string} title
  * @property {Thumbnail[]} thumbnails
  * @property {string} author
  * @property {string} duration
  * @property {string} publishedAt
  * @property {string} viewCount
+ * @property {number|null} viewCountValue - `viewCount` as a number.
+ * @property {number|null} durationSeconds - `duration` in seconds.
+ * @property {string|null} publishedAtEstimate - ISO date estimated from `publishedAt`.
+ * @property {boolean} isLive - Streaming now.
+ * @property {boolean} isUpcoming - Scheduled stream or premiere that has not started.
+ * @property {string|null} scheduledStartTime - ISO start time of an upcoming video.
+ * @property {boolean} wasLive - A finished live stream.
+ * @property {boolean} isMembersOnly
+ * @property {boolean} isShort
+ * @property {boolean} hasCaptions
+ * @property {boolean} is4K
+ * @property {number|null} concurrentViewers - Viewers of a live stream.
+ * @property {ChannelRef|null} channel - Channel that uploaded the video.
+ * @property {string} [shelf] - Title of the shelf the item was listed in, e.g. 'Shorts'.
+ */
+
+/**
+ * @typedef {Object} ChannelRef
+ * @property {string} id - Channel ID ('UC...').
+ * @property {string} handle - e.g. '@LofiGirl', or '' if the renderer does not link it.
+ * @property {string} url
+ * @property {string} title
+ * @property {Thumbnail[]} thumbnails - Channel avatar, where the renderer shows one.
+ * @property {boolean} verified
+ * @property {boolean} isArtist - Official artist channel.
  */
 
 /**
@@ -29,7 +57,7 @@
  * @param {Object} data
  * @returns {string}
  */
-function getText(data) {
+export function getText(data) {
   if (!data) return '';
   if (typeof data === 'string') return data;
   if (data.simpleText) return data.simpleText;
@@ -37,12 +65,94 @@ function getText(data) {
   return '';
 }
 
+/**
+ * Build a channel reference from the browse endpoint a byline links to.
+ * @param {Object} endpoint - browseEndpoint
+ * @param {string} title
+ * @param {Object} [details]
+ * @param {Thumbnail[]} [details.thumbnails]
+ * @param {boolean} [details.verified]
+ * @param {boolean} [details.isArtist]
+ * @returns {ChannelRef}
+ */
+function channelRef(endpoint, title, { thumbnails = [], verified = false, isArtist = false } = {}) {
+  // canonicalBaseUrl is '/@handle' for channels with a handle, '/channel/UC...' otherwise.
+  const handle = endpoint.canonicalBaseUrl?.match(/^\/(@[^/?#]+)/)?.[1];
+  return {
+    id: endpoint.browseId,
+    handle: handle ? decodeURIComponent(handle) : '',
+    url: `https://www.youtube.com/channel/${endpoint.browseId}`,
+    title,
+    thumbnails,
+    verified,
+    isArtist,
+  };
+}
+
+/**
+ * Parse the channel of a video or playlist renderer from its byline.
+ * @param {Object} byline - Text whose run links to the channel, e.g. `ownerText`.
+ * @param {Object} [renderer] - The renderer, for its channel avatar and `ownerBadges`.
+ * @returns {ChannelRef|null} null if the byline does not link to a channel.
+ */
+function parseChannel(byline, renderer = {}) {
+  const run = byline?.runs?.find((r) => r.navigationEndpoint?.browseEndpoint?.browseId);
+  if (!run) return null;
+
+  const badgeStyles = (renderer.ownerBadges || []).map((b) => b.metadataBadgeRenderer?.style);
+  return channelRef(run.navigationEndpoint.browseEndpoint, run.text, {
+    thumbnails:
+      renderer.channelThumbnailSupportedRenderers?.channelThumbnailWithLinkRenderer?.thumbnail
+        ?.thumbnails ||
+      renderer.channelThumbnail?.thumbnails ||
+      [],
+    verified: badgeStyles.some((s) => s?.startsWith('BADGE_STYLE_TYPE_VERIFIED')),
+    isArtist: badgeStyles.includes('BADGE_STYLE_TYPE_VERIFIED_ARTIST'),
+  });
+}
+
+/**
+ * Derive status flags of a video from its renderer's badges, overlays and event data.
+ * Badge styles and overlay styles are not localized, unlike badge labels.
+ * @param {Object} video - videoRenderer or a renderer of the same shape.
+ * @param {ParseOptions} [options]
+ * @returns {Object} The flag fields of `VideoResult`.
+ */
+function parseVideoFlags(video, { hl } = {}) {
+  const badges = (video.badges || []).map((b) => b.metadataBadgeRenderer).filter(Boolean);
+  const badgeStyles = badges.map((b) => b.style);
+  const badgeLabels = badges.map((b) => b.label);
+  const overlayStyles = (video.thumbnailOverlays || [])
+    .map((o) => o.thumbnailOverlayTimeStatusRenderer?.style)
+    .filter(Boolean);
+  const startTime = Number(video.upcomingEventData?.startTime);
+
+  const isLive =
+    badgeStyles.includes('BADGE_STYLE_TYPE_LIVE_NOW') || overlayStyles.includes('LIVE');
+
+  return {
+    isLive,
+    isUpcoming: Boolean(video.upcomingEventData) || overlayStyles.includes('UPCOMING'),
+    scheduledStartTime: startTime ? new Date(startTime * 1000).toISOString() : null,
+    wasLive: !isLive && isStreamedText(getText(video.publishedTimeText), hl),
+    isMembersOnly: badgeStyles.includes('BADGE_STYLE_TYPE_MEMBERS_ONLY'),
+    isShort:
+      overlayStyles.includes('SHORTS') || Boolean(video.navigationEndpoint?.reelWatchEndpoint),
+    // 'CC' and '4K' are the same in every locale.
+    hasCaptions: badgeLabels.includes('CC'),
+    is4K: badgeLabels.includes('4K'),
+    // Live streams show "1,234 watching" in place of the view count.
+    concurrentViewers: isLive ? parseCount(getText(video.viewCountText), hl) : null,
+  };
+}
+
 /**
  * Parse a single video renderer item.
  * @param {Object} item
+ * @param {ParseOptions} [options]
  * @returns {VideoResult|null}
  */
-function parseVideoRenderer(item) {
+function parseVideoRenderer(item, options = {}) {
   const video = item.videoRenderer;
   if (!video) return null;
 
@@ -54,14 +164,143 @@ function parseVideoRenderer(item) {
     thumbnails: video.thumbnail?.thumbnails || [],
     thumbnail_url: video.thumbnail?.thumbnails?.[video.thumbnail.thumbnails.length - 1]?.url || '',
     author: getText(video.ownerText),
+    channel: parseChannel(video.ownerText || video.longBylineText, video),
+    duration: getText(video.lengthText),
+    publishedAt: getText(video.publishedTimeText),
+    viewCount: getText(video.viewCountText),
+    description:
+      getText(video.detailedMetadataSnippets?.[0]?.snippetText) ||
+      getText(video.descriptionSnippet),
+    badges: video.badges?.map((b) => b.metadataBadgeRenderer?.label).filter(Boolean) || [],
+    ...parseVideoFlags(video, options),
+  };
+}
+
+/**
+ * Parse a compact video renderer (watch page sidebar).
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|null}
+ */
+function parseCompactVideoRenderer(item, options = {}) {
+  const video = item.compactVideoRenderer;
+  if (!video) return null;
+
+  const thumbnails = video.thumbnail?.thumbnails || [];
+  return {
+    type: 'video',
+    id: video.videoId,
+    link: `https://www.youtube.com/watch?v=${video.videoId}`,
+    title: getText(video.title),
+    thumbnails,
+    thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+    author: getText(video.longBylineText) || getText(video.shortBylineText),
+    channel: parseChannel(video.longBylineText || video.shortBylineText, video),
     duration: getText(video.lengthText),
     publishedAt: getText(video.publishedTimeText),
     viewCount: getText(video.viewCountText),
-    description: getText(video.detailedMetadataSnippets?.[0]?.snippetText) || getText(video.descriptionSnippet),
+    description: '',
     badges: video.badges?.map((b) => b.metadataBadgeRenderer?.label).filter(Boolean) || [],
+    ...parseVideoFlags(video, options),
   };
 }
 
+/**
+ * Parse a lockup view model, the layout YouTube is moving sidebars and grids to.
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|Object|null}
+ */
+function parseLockupViewModel(item, options = {}) {
+  const lockup = item.lockupViewModel;
+  if (!lockup) return null;
+
+  const metadata = lockup.metadata?.lockupMetadataViewModel || {};
+  // Rows are [[channel], [views, published]] for videos and [[channel]] for playlists.
+  const rows = (metadata.metadata?.contentMetadataViewModel?.metadataRows || []).map((row) =>
+    (row.metadataParts || []).map((part) => part.text?.content || '')
+  );
+  const image =
+    lockup.contentImage?.thumbnailViewModel ||
+    lockup.contentImage?.collectionThumbnailViewModel?.primaryThumbnail?.thumbnailViewModel;
+  const thumbnails = image?.image?.sources || [];
+  // Overlay badges hold the duration of videos and the video count of playlists.
+  const overlayBadges = (image?.overlays || [])
+    .flatMap(
+      (overlay) =>
+        overlay.thumbnailOverlayBadgeViewModel?.thumbnailBadges ||
+        overlay.thumbnailBottomOverlayViewModel?.badges ||
+        []
+    )
+    .map((badge) => badge.thumbnailBadgeViewModel)
+    .filter(Boolean);
+  const badgeTexts = overlayBadges.map((badge) => badge.text).filter(Boolean);
+
+  // The channel name links to the channel, followed by an icon if it is verified.
+  const channelText =
+    metadata.metadata?.contentMetadataViewModel?.metadataRows?.[0]?.metadataParts?.[0]?.text;
+  const channelEndpoint = channelText?.commandRuns?.[0]?.onTap?.innertubeCommand?.browseEndpoint;
+  const channelIcons = (channelText?.attachmentRuns || []).flatMap(
+    (run) =>
+      run.element?.type?.imageType?.image?.sources?.map((s) => s.clientResource?.imageName) || []
+  );
+  const channel = channelEndpoint?.browseId
+    ? channelRef(channelEndpoint, channelText.content, {
+        thumbnails:
+          metadata.image?.decoratedAvatarViewModel?.avatar?.avatarViewModel?.image?.sources || [],
+        verified: channelIcons.some(
+          (name) => name === 'CHECK_CIRCLE_FILLED' || name === 'AUDIO_BADGE'
+        ),
+        isArtist: channelIcons.includes('AUDIO_BADGE'),
+      })
+    : null;
+
+  const base = {
+    id: lockup.contentId,
+    title: metadata.title?.content || '',
+    thumbnails,
+  };
+
+  switch (lockup.contentType) {
+    case 'LOCKUP_CONTENT_TYPE_VIDEO':
+      return {
+        type: 'video',
+        ...base,
+        link: `https://www.youtube.com/watch?v=${lockup.contentId}`,
+        thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+        author: rows[0]?.[0] || '',
+        channel,
+        duration: badgeTexts[0] || '',
+        publishedAt: rows[1]?.[1] || '',
+        viewCount: rows[1]?.[0] || '',
+        description: '',
+        badges: [],
+        ...parseVideoFlags({}, options),
+        isLive: overlayBadges.some(
+          (badge) => badge.badgeStyle === 'THUMBNAIL_OVERLAY_BADGE_STYLE_LIVE'
+        ),
+      };
+    case 'LOCKUP_CONTENT_TYPE_PLAYLIST': {
+      // Mixes are playlists generated from a seed video; their IDs start with 'RD'.
+      const isMix = lockup.contentId?.startsWith('RD');
+      const watch = lockup.rendererContext?.commandContext?.onTap?.innertubeCommand?.watchEndpoint;
+      return {
+        type: isMix ? 'mix' : 'playlist',
+        ...base,
+        link:
+          isMix && watch?.videoId
+            ? `https://www.youtube.com/watch?v=${watch.videoId}&list=${lockup.contentId}`
+            : `https://www.youtube.com/playlist?list=${lockup.contentId}`,
+        videoCount: badgeTexts[0] || '',
+        author: rows[0]?.[0] || '',
+        channel,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
 /**
  * Parse a channel renderer item.
  * @param {Object} item
@@ -74,6 +313,7 @@ function parseChannelRenderer(item) {
   return {
     type: 'channel',
     id: channel.channelId,
+    link: `https://www.youtube.com/channel/${channel.channelId}`,
     title: getText(channel.title),
     thumbnails: channel.thumbnail?.thumbnails || [],
     description: getText(channel.descriptionSnippet),
@@ -94,37 +334,475 @@ function parsePlaylistRenderer(item) {
   return {
     type: 'playlist',
     id: playlist.playlistId,
+    link: `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
     title: getText(playlist.title),
     thumbnails: playlist.thumbnails?.[0]?.thumbnails || [], // Playlists have a slightly different structure
     videoCount: getText(playlist.videoCountText),
     author: getText(playlist.longBylineText),
+    channel: parseChannel(playlist.longBylineText || playlist.shortBylineText, playlist),
+  };
+}
+
+/**
+ * Parse a mix (auto-generated radio playlist).
+ * Search results use `radioRenderer`, the watch page sidebar `compactRadioRenderer`.
+ * @param {Object} item
+ * @returns {Object|null}
+ */
+function parseRadioRenderer(item) {
+  const radio = item.radioRenderer || item.compactRadioRenderer;
+  if (!radio) return null;
+
+  const thumbnails = radio.thumbnail?.thumbnails || [];
+  const watch = radio.navigationEndpoint?.watchEndpoint;
+  return {
+    type: 'mix',
+    id: radio.playlistId,
+    link: watch?.videoId
+      ? `https://www.youtube.com/watch?v=${watch.videoId}&list=${radio.playlistId}`
+      : `https://www.youtube.com/playlist?list=${radio.playlistId}`,
+    title: getText(radio.title),
+    thumbnails,
+    thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+    videoCount: getText(radio.videoCountText) || getText(radio.videoCountShortText),
+    author: getText(radio.longBylineText) || getText(radio.shortBylineText),
+    // Mixes are credited to "YouTube", which does not link to a channel.
+    channel: parseChannel(radio.longBylineText || radio.shortBylineText, radio),
+  };
+}
+
+/**
+ * Parse a movie renderer item.
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|null}
+ */
+function parseMovieRenderer(item, options = {}) {
+  const movie = item.movieRenderer;
+  if (!movie) return null;
+
+  const thumbnails = movie.thumbnail?.thumbnails || [];
+  return {
+    type: 'movie',
+    id: movie.videoId,
+    link: `https://www.youtube.com/watch?v=${movie.videoId}`,
+    title: getText(movie.title),
+    thumbnails,
+    thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+    author: getText(movie.longBylineText) || getText(movie.ownerText),
+    channel: parseChannel(movie.longBylineText || movie.ownerText, movie),
+    duration: getText(movie.lengthText),
+    publishedAt: getText(movie.publishedTimeText),
+    viewCount: getText(movie.viewCountText),
+    description: getText(movie.descriptionSnippet),
+    badges: movie.badges?.map((b) => b.metadataBadgeRenderer?.label).filter(Boolean) || [],
+    // Genre, year and rating, e.g. ['Drama', '2019', 'PG-13'].
+    metadata: (movie.bottomMetadataItems || []).map(getText).filter(Boolean),
+    ...parseVideoFlags(movie, options),
+  };
+}
+
+/**
+ * Parse a grid playlist renderer item (channel Playlists tab).
+ * @param {Object} item
+ * @returns {Object|null}
+ */
+function parseGridPlaylistRenderer(item) {
+  const playlist = item.gridPlaylistRenderer;
+  if (!playlist) return null;
+
+  return {
+    type: 'playlist',
+    id: playlist.playlistId,
+    link: `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
+    title: getText(playlist.title),
+    thumbnails: playlist.thumbnail?.thumbnails || [],
+    videoCount: getText(playlist.videoCountText) || getText(playlist.videoCountShortText),
+    author: getText(playlist.shortBylineText),
+    channel: parseChannel(playlist.shortBylineText || playlist.longBylineText, playlist),
   };
 }
 
+/**
+ * Parse a video entry of a playlist.
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|null}
+ */
+function parsePlaylistVideoRenderer(item, options = {}) {
+  const video = item.playlistVideoRenderer;
+  if (!video) return null;
+
+  const thumbnails = video.thumbnail?.thumbnails || [];
+  // videoInfo runs are ["1.2M views", " • ", "3 years ago"]
+  const info = video.videoInfo?.runs || [];
+
+  return {
+    type: 'video',
+    id: video.videoId,
+    link: `https://www.youtube.com/watch?v=${video.videoId}`,
+    title: getText(video.title),
+    thumbnails,
+    thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+    author: getText(video.shortBylineText),
+    channel: parseChannel(video.shortBylineText, video),
+    duration: getText(video.lengthText),
+    publishedAt: info[2]?.text || '',
+    viewCount: info[0]?.text || '',
+    description: '',
+    badges: [],
+    index: Number(getText(video.index)) || null,
+    isPlayable: video.isPlayable !== false,
+    ...parseVideoFlags(video, options),
+  };
+}
+
+/**
+ * Parse a Shorts reel item.
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|null}
+ */
+function parseReelItemRenderer(item, options = {}) {
+  const reel = item.reelItemRenderer;
+  if (!reel) return null;
+
+  const thumbnails = reel.thumbnail?.thumbnails || [];
+  return {
+    type: 'short',
+    id: reel.videoId,
+    link: `https://www.youtube.com/shorts/${reel.videoId}`,
+    title: getText(reel.headline),
+    thumbnails,
+    thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+    author: '',
+    channel: null,
+    duration: '',
+    publishedAt: '',
+    viewCount: getText(reel.viewCountText),
+    description: '',
+    badges: [],
+    ...parseVideoFlags({}, options),
+    isShort: true,
+  };
+}
+
+/**
+ * Parse a Shorts lockup view model (the newer layout for Shorts).
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|null}
+ */
+function parseShortsLockupViewModel(item, options = {}) {
+  const lockup = item.shortsLockupViewModel;
+  if (!lockup) return null;
+
+  const id =
+    lockup.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId ||
+    lockup.entityId?.replace('shorts-shelf-item-', '');
+  const thumbnails = lockup.thumbnail?.sources || [];
+  return {
+    type: 'short',
+    id,
+    link: `https://www.youtube.com/shorts/${id}`,
+    title: lockup.overlayMetadata?.primaryText?.content || '',
+    thumbnails,
+    thumbnail_url: thumbnails[thumbnails.length - 1]?.url || '',
+    author: '',
+    channel: null,
+    duration: '',
+    publishedAt: '',
+    viewCount: lockup.overlayMetadata?.secondaryText?.content || '',
+    description: '',
+    badges: [],
+    ...parseVideoFlags({}, options),
+    isShort: true,
+  };
+}
+
+/**
+ * Item parsers keyed by renderer name.
+ */
+const ITEM_PARSERS = {
+  videoRenderer: parseVideoRenderer,
+  compactVideoRenderer: parseCompactVideoRenderer,
+  lockupViewModel: parseLockupViewModel,
+  channelRenderer: parseChannelRenderer,
+  playlistRenderer: parsePlaylistRenderer,
+  radioRenderer: parseRadioRenderer,
+  compactRadioRenderer: parseRadioRenderer,
+  movieRenderer: parseMovieRenderer,
+  gridPlaylistRenderer: parseGridPlaylistRenderer,
+  playlistVideoRenderer: parsePlaylistVideoRenderer,
+  reelItemRenderer: parseReelItemRenderer,
+  shortsLockupViewModel: parseShortsLockupViewModel,
+};
+
+/**
+ * Renderers that are known to carry no results (ads, notices, layout wrappers).
+ * They are skipped without being reported as unknown.
+ */
+const IGNORED_RENDERERS = new Set([
+  'adSlotRenderer',
+  'backgroundPromoRenderer',
+  'clarificationRenderer',
+  'continuationItemRenderer',
+  'didYouMeanRenderer',
+  'emergencyOneboxRenderer',
+  'includingResultsForRenderer',
+  'infoPanelContainerRenderer',
+  'messageRenderer',
+  'promotedSparklesWebRenderer',
+  'promotedVideoRenderer',
+  'richSectionRenderer',
+  'searchPyvRenderer',
+  // "Searches related to" cards, read by parseSearchMetadata().
+  'searchRefinementCardRenderer',
+  'showingResultsForRenderer',
+]);
+
+/**
+ * Fields every parsed item must have a value for.
+ */
+const REQUIRED_FIELDS = ['id', 'title'];
+
+/**
+ * @typedef {Object} ParseDiagnostics
+ * @property {string[]} unknownRenderers - Renderer keys the parser does not know, each listed once.
+ * @property {string[]} droppedItems - Renderer key of every item that was skipped, including
+ *   items of unknown renderers.
+ * @property {Array<{ type: string, id: string, fields: string[] }>} missingFields - Parsed items
+ *   without a value for a required field.
+ * @property {string[]} errors - Errors caught while parsing, and layouts that were not recognized.
+ */
+
+/**
+ * Create an empty diagnostics report.
+ * @returns {ParseDiagnostics}
+ */
+export function createDiagnostics() {
+  return { unknownRenderers: [], droppedItems: [], missingFields: [], errors: [] };
+}
+
+/**
+ * @typedef {Object} ParseOptions
+ * @property {number} [now] - Reference time in ms for `publishedAtEstimate` (default: now).
+ * @property {string} [hl] - Interface language of the response, for parsing counts and dates.
+ * @property {ParseDiagnostics} [diagnostics] - Report to add problems to.
+ * @property {boolean} [strict] - Throw a `ParseError` on the first problem instead of reporting it.
+ * @property {function(string, Object): void} [onUnknownRenderer] - Called with the key and
+ *   content of every item whose renderer is unknown.
+ */
+
+/**
+ * Throw a problem that was just added to the diagnostics report, if parsing is strict.
+ * @param {ParseOptions} options
+ * @param {string} message
+ */
+function throwIfStrict({ diagnostics, strict }, message) {
+  if (strict) throw new ParseError(message, diagnostics);
+}
+
+// InnerTube names every renderer key like this; other keys are metadata such as trackingParams.
+const RENDERER_KEY = /(Renderer|ViewModel)$/;
+
+/**
+ * Add numeric companions to the display strings of a parsed item.
+ * @param {Object} result
+ * @param {ParseOptions} options
+ * @returns {Object}
+ */
+function withNormalizedFields(result, { now = Date.now(), hl } = {}) {
+  switch (result.type) {
+    case 'video':
+    case 'short':
+    case 'movie':
+      return {
+        ...result,
+        viewCountValue: parseCount(result.viewCount, hl),
+        durationSeconds: parseDuration(result.duration, hl),
+        publishedAtEstimate: estimatePublishedAt(result.publishedAt, now, hl),
+      };
+    case 'channel':
+      return { ...result, subscriberCountValue: parseCount(result.subscriberCount, hl) };
+    case 'playlist':
+    case 'mix':
+      return { ...result, videoCountValue: parseCount(result.videoCount, hl) };
+    default:
+      return result;
+  }
+}
+
+/**
+ * Parse a single item of any known renderer type.
+ * Grid items wrapped in `richItemRenderer` are unwrapped first.
+ * Unknown renderers, dropped items and missing fields are added to `options.diagnostics`.
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult|Object|null} The parsed item, or null for unknown renderers.
+ * @throws {ParseError} In strict mode, if the item cannot be parsed completely.
+ */
+export function parseItem(item, options = {}) {
+  const content = item?.richItemRenderer?.content || item;
+  if (!content) return null;
+
+  const { diagnostics } = options;
+  const renderer = Object.keys(content).find((key) => ITEM_PARSERS[key]);
+  if (!renderer) {
+    const unknown = Object.keys(content).find(
+      (key) => RENDERER_KEY.test(key) && !IGNORED_RENDERERS.has(key) && !SHELF_RENDERERS[key]
+    );
+    if (unknown) {
+      options.onUnknownRenderer?.(unknown, content);
+      if (diagnostics && !diagnostics.unknownRenderers.includes(unknown)) {
+        diagnostics.unknownRenderers.push(unknown);
+      }
+      diagnostics?.droppedItems.push(unknown);
+      throwIfStrict(options, `Unknown renderer: ${unknown}`);
+    }
+    return null;
+  }
+
+  const result = ITEM_PARSERS[renderer](content, options);
+  if (!result) {
+    diagnostics?.droppedItems.push(renderer);
+    throwIfStrict(options, `Unsupported ${renderer} item`);
+    return null;
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => !result[field]);
+  if (missing.length) {
+    diagnostics?.missingFields.push({ type: result.type, id: result.id || '', fields: missing });
+    throwIfStrict(options, `${renderer} item is missing ${missing.join(', ')}`);
+  }
+
+  return withNormalizedFields(result, options);
+}
+
+/**
+ * Shelf renderers that group items inside search results, with accessors for
+ * their title and items.
+ */
+const SHELF_RENDERERS = {
+  reelShelfRenderer: (shelf) => ({ title: shelf.title, items: shelf.items }),
+  shelfRenderer: (shelf) => ({
+    title: shelf.title,
+    items:
+      shelf.content?.verticalListRenderer?.items || shelf.content?.horizontalListRenderer?.items,
+  }),
+  horizontalCardListRenderer: (shelf) => ({
+    title: shelf.header?.richListHeaderRenderer?.title,
+    items: shelf.cards,
+  }),
+};
+
+/**
+ * Flatten a shelf into its parsed items, labelled with the shelf title.
+ * @param {Object} item
+ * @param {ParseOptions} [options]
+ * @returns {VideoResult[]|null} The items, or null if `item` is not a shelf.
+ */
+export function parseShelf(item, options = {}) {
+  for (const key of Object.keys(item || {})) {
+    if (SHELF_RENDERERS[key]) {
+      const { title, items = [] } = SHELF_RENDERERS[key](item[key]);
+      const shelf = getText(title);
+      return items
+        .map((shelfItem) => parseItem(shelfItem, options))
+        .filter(Boolean)
+        .map((parsed) => ({ ...parsed, shelf }));
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a flat list of items, as found in browse grids and continuation responses.
+ * @param {Object[]} items
+ * @param {ParseOptions} [options]
+ * @returns {{
+ *   results: Object[],
+ *   continuationToken: string|null,
+ *   diagnostics: ParseDiagnostics
+ * }}
+ * @throws {ParseError} In strict mode, if an item cannot be parsed completely.
+ */
+export function parseItemList(items = [], options = {}) {
+  const { diagnostics = createDiagnostics() } = options;
+  options = { ...options, diagnostics };
+  const results = [];
+  let continuationToken = null;
+
+  for (const item of items) {
+    if (item.continuationItemRenderer) {
+      continuationToken =
+        item.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token || null;
+      continue;
+    }
+
+    const parsedItem = parseItem(item, options);
+    if (parsedItem) {
+      results.push(parsedItem);
+    }
+  }
+
+  return { results, continuationToken, diagnostics };
+}
+
+/**
+ * Get the appended items from a continuation response.
+ * Search uses `onResponseReceivedCommands`, browse uses `onResponseReceivedActions`
+ * and the watch page uses `onResponseReceivedEndpoints`.
+ * @param {Object} response
+ * @returns {Object[]|null}
+ */
+export function getContinuationItems(response) {
+  const commands =
+    response?.onResponseReceivedCommands ||
+    response?.onResponseReceivedActions ||
+    response?.onResponseReceivedEndpoints;
+  if (!commands) return null;
+
+  const action = commands.find(
+    (cmd) => cmd.appendContinuationItemsAction || cmd.reloadContinuationItemsCommand
+  );
+  if (!action) return null;
+
+  return (action.appendContinuationItemsAction || action.reloadContinuationItemsCommand)
+    .continuationItems;
+}
+
 /**
  * Main parser function for search response.
  * @param {Object} response - Raw JSON response from InnerTube.
- * @returns {VideoResult[]}
+ * @param {ParseOptions} [options]
+ * @returns {{
+ *   results: VideoResult[],
+ *   continuationToken: string|null,
+ *   diagnostics: ParseDiagnostics
+ * }}
+ * @throws {ParseError} In strict mode, if the response does not have the expected shape.
  */
-export function parseSearchResults(response) {
+export function parseSearchResults(response, options = {}) {
+  const { diagnostics = createDiagnostics() } = options;
+  options = { ...options, diagnostics };
   const results = [];
   let continuationToken = null;
 
   try {
     let contents =
-      response.contents?.twoColumnSearchResultsRenderer?.primaryContents?.sectionListRenderer
+      response?.contents?.twoColumnSearchResultsRenderer?.primaryContents?.sectionListRenderer
         ?.contents;
 
     // Handle Continuation Response
-    if (!contents && response.onResponseReceivedCommands) {
-      const action = response.onResponseReceivedCommands.find(cmd => cmd.appendContinuationItemsAction);
-      if (action) {
-        contents = action.appendContinuationItemsAction.continuationItems;
-      }
+    if (!contents) {
+      contents = getContinuationItems(response);
     }
 
     if (!contents) {
-      return { results: [], continuationToken: null };
+      diagnostics.errors.push('Unrecognized search response layout');
+      throwIfStrict(options, 'Unrecognized search response layout');
+      return { results: [], continuationToken: null, diagnostics };
     }
 
     for (const section of contents) {
@@ -136,34 +814,123 @@ export function parseSearchResults(response) {
       let items = [];
       if (section.itemSectionRenderer) {
         items = section.itemSectionRenderer.contents;
-      } else if (section.videoRenderer || section.channelRenderer || section.playlistRenderer) {
+      } else if (!section.continuationItemRenderer) {
         // Sometimes items are direct children
         items = [section];
       }
 
       for (const item of items) {
-        let parsedItem = null;
-        if (item.videoRenderer) {
-          parsedItem = parseVideoRenderer(item);
-        } else if (item.channelRenderer) {
-          parsedItem = parseChannelRenderer(item);
-        } else if (item.playlistRenderer) {
-          parsedItem = parsePlaylistRenderer(item);
+        const shelfItems = parseShelf(item, options);
+        if (shelfItems) {
+          results.push(...shelfItems);
+          continue;
         }
 
+        const parsedItem = parseItem(item, options);
         if (parsedItem) {
           results.push(parsedItem);
         }
       }
 
       if (section.continuationItemRenderer) {
-        continuationToken = section.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token;
+        continuationToken =
+          section.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token;
         // console.log('Found continuation token:', continuationToken);
       }
     }
   } catch (e) {
-    console.error('Error parsing search results:', e);
+    if (e instanceof ParseError) throw e;
+    diagnostics.errors.push(e.message);
+    if (options.strict) {
+      throw new ParseError(`Failed to parse search results: ${e.message}`, diagnostics, {
+        cause: e,
+      });
+    }
+  }
+
+  return { results, continuationToken, diagnostics };
+}
+
+/**
+ * @typedef {Object} SearchMetadata
+ * @property {number|null} estimatedResults
+ * @property {string|null} correctedQuery - Spelling correction YouTube suggested or searched for.
+ * @property {string|null} originalQuery - Query as typed, when YouTube searched for a correction.
+ * @property {boolean} autoCorrected - True if the results are for `correctedQuery`
+ *   ("Showing results for"), false if it was only suggested ("Did you mean").
+ * @property {Array<{ text: string, query: string|null, selected: boolean }>} refinements -
+ *   Chips shown above the results.
+ * @property {string[]} relatedSearches - "Searches related to" queries.
+ */
+
+/**
+ * Get the query a search endpoint navigates to.
+ * @param {Object} endpoint
+ * @returns {string|null}
+ */
+function searchEndpointQuery(endpoint) {
+  return endpoint?.searchEndpoint?.query || null;
+}
+
+/**
+ * Parse the metadata around the results of a first search page.
+ * @param {Object} response - Raw JSON response from `/search`.
+ * @returns {SearchMetadata}
+ */
+export function parseSearchMetadata(response) {
+  const sections =
+    response?.contents?.twoColumnSearchResultsRenderer?.primaryContents?.sectionListRenderer
+      ?.contents || [];
+  const items = sections.flatMap((section) => section.itemSectionRenderer?.contents || []);
+
+  let correctedQuery = null;
+  let originalQuery = null;
+  let autoCorrected = false;
+  const relatedSearches = [...(response?.refinements || [])];
+
+  for (const item of items) {
+    if (item.showingResultsForRenderer) {
+      const renderer = item.showingResultsForRenderer;
+      correctedQuery =
+        getText(renderer.correctedQuery) || searchEndpointQuery(renderer.correctedQueryEndpoint);
+      originalQuery =
+        getText(renderer.originalQuery) || searchEndpointQuery(renderer.originalQueryEndpoint);
+      autoCorrected = true;
+    } else if (item.didYouMeanRenderer) {
+      const renderer = item.didYouMeanRenderer;
+      correctedQuery =
+        getText(renderer.correctedQuery) || searchEndpointQuery(renderer.correctedQueryEndpoint);
+    } else if (item.horizontalCardListRenderer) {
+      for (const card of item.horizontalCardListRenderer.cards || []) {
+        const refinement = card.searchRefinementCardRenderer;
+        const query = getText(refinement?.query) || searchEndpointQuery(refinement?.searchEndpoint);
+        if (query) relatedSearches.push(query);
+      }
+    }
   }
 
-  return { results, continuationToken };
+  const chips =
+    response?.header?.searchHeaderRenderer?.chipBar?.chipCloudRenderer?.chips ||
+    response?.contents?.twoColumnSearchResultsRenderer?.header?.chipCloudRenderer?.chips ||
+    [];
+  const refinements = chips
+    .map((chip) => chip.chipCloudChipRenderer)
+    .filter(Boolean)
+    .map((chip) => ({
+      text: getText(chip.text),
+      query: searchEndpointQuery(chip.navigationEndpoint),
+      selected: Boolean(chip.isSelected),
+    }));
+
+  // estimatedResults is an int64, which InnerTube serializes as a string.
+  const estimatedResults = parseInt(response?.estimatedResults, 10);
+
+  return {
+    estimatedResults: Number.isNaN(estimatedResults) ? null : estimatedResults,
+    correctedQuery,
+    originalQuery,
+    autoCorrected,
+    refinements,
+    relatedSearches: [...new Set(relatedSearches)],
+  };
 }
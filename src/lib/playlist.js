@@ -0,0 +1,153 @@
+/**
+ * Parser for InnerTube `/browse` responses of playlist pages (`VL<playlistId>`).
+ * Metadata lives either in a `playlistHeaderRenderer` or in the sidebar,
+ * depending on the layout YouTube serves.
+ *
+ * @module playlist
+ */
+
+import { getText, parseItemList } from './parser.js';
+
+/**
+ * @typedef {Object} PlaylistDetails
+ * @property {string} id
+ * @property {string} title
+ * @property {string} link
+ * @property {string} description
+ * @property {{ id: string, title: string }} owner
+ * @property {string} videoCount - Display string, e.g. '123 videos'.
+ * @property {number|null} totalCount - Number of videos in the playlist.
+ * @property {string} viewCount
+ * @property {string} lastUpdated
+ * @property {string} privacy - 'public', 'unlisted' or 'private'.
+ * @property {import('./parser.js').Thumbnail[]} thumbnails
+ */
+
+const PRIVACY_ICONS = {
+  PRIVACY_PUBLIC: 'public',
+  PRIVACY_UNLISTED: 'unlisted',
+  PRIVACY_PRIVATE: 'private',
+};
+
+/**
+ * Parse the leading number of a count string ('1,234 videos' -> 1234).
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseLeadingInteger(text) {
+  const match = text.match(/\d[\d,.\s]*/);
+  return match ? Number(match[0].replace(/[^\d]/g, '')) : null;
+}
+
+/**
+ * Parse metadata from the playlist sidebar layout.
+ * @param {Object} sidebar - playlistSidebarRenderer
+ * @returns {Partial<PlaylistDetails>}
+ */
+function parseSidebar(sidebar) {
+  const items = sidebar?.items || [];
+  const primary = items.find(
+    (i) => i.playlistSidebarPrimaryInfoRenderer
+  )?.playlistSidebarPrimaryInfoRenderer;
+  const owner = items.find((i) => i.playlistSidebarSecondaryInfoRenderer)
+    ?.playlistSidebarSecondaryInfoRenderer?.videoOwner?.videoOwnerRenderer;
+  if (!primary) return {};
+
+  // stats are ["123 videos", "1,234 views", "Last updated on Jan 1, 2024"]
+  const stats = (primary.stats || []).map(getText);
+  const privacyIcon = (primary.badges || [])
+    .map((b) => b.metadataBadgeRenderer?.icon?.iconType)
+    .find((icon) => PRIVACY_ICONS[icon]);
+
+  return {
+    title: getText(primary.title),
+    description: getText(primary.description),
+    videoCount: stats[0] || '',
+    viewCount: stats[1] || '',
+    lastUpdated: stats[2] || '',
+    privacy: PRIVACY_ICONS[privacyIcon],
+    thumbnails:
+      primary.thumbnailRenderer?.playlistVideoThumbnailRenderer?.thumbnail?.thumbnails ||
+      primary.thumbnailRenderer?.playlistCustomThumbnailRenderer?.thumbnail?.thumbnails,
+    owner: owner && {
+      id: owner.navigationEndpoint?.browseEndpoint?.browseId || '',
+      title: getText(owner.title),
+    },
+  };
+}
+
+/**
+ * Parse metadata from the playlist header layout.
+ * @param {Object} header - playlistHeaderRenderer
+ * @returns {Partial<PlaylistDetails>}
+ */
+function parseHeader(header) {
+  // byline holds the video count, view count and last updated text, in that order
+  const byline = (header.byline || []).map((b) => getText(b.playlistBylineRenderer?.text));
+  const ownerRun = header.ownerText?.runs?.[0];
+
+  return {
+    title: getText(header.title),
+    description: getText(header.descriptionText),
+    videoCount: getText(header.numVideosText) || byline[0] || '',
+    viewCount: getText(header.viewCountText) || byline[1] || '',
+    lastUpdated: byline[2] || '',
+    privacy: header.privacy?.toLowerCase(),
+    thumbnails: header.playlistHeaderBanner?.heroPlaylistThumbnailRenderer?.thumbnail?.thumbnails,
+    owner: ownerRun && {
+      id: ownerRun.navigationEndpoint?.browseEndpoint?.browseId || '',
+      title: ownerRun.text,
+    },
+  };
+}
+
+/**
+ * Parse playlist metadata from a browse response.
+ * @param {Object} response - Raw JSON response from `/browse`.
+ * @param {string} [playlistId] - Requested ID, used when the response does not echo it.
+ * @returns {PlaylistDetails}
+ */
+export function parsePlaylistMetadata(response, playlistId = '') {
+  const metadata = response?.metadata?.playlistMetadataRenderer || {};
+  const header = response?.header?.playlistHeaderRenderer;
+  const parsed = header
+    ? parseHeader(header)
+    : parseSidebar(response?.sidebar?.playlistSidebarRenderer);
+
+  const id = header?.playlistId || playlistId;
+  const videoCount = parsed.videoCount || '';
+
+  return {
+    id,
+    title: parsed.title || metadata.title || '',
+    link: `https://www.youtube.com/playlist?list=${id}`,
+    description: parsed.description || metadata.description || '',
+    owner: parsed.owner || { id: '', title: '' },
+    videoCount,
+    totalCount: parseLeadingInteger(videoCount),
+    viewCount: parsed.viewCount || '',
+    lastUpdated: parsed.lastUpdated || '',
+    privacy: parsed.privacy || 'public',
+    thumbnails: parsed.thumbnails || [],
+  };
+}
+
+/**
+ * Parse the first page of playlist videos from a browse response.
+ * @param {Object} response - Raw JSON response from `/browse`.
+ * @param {import('./parser.js').ParseOptions} [options]
+ * @returns {{
+ *   results: import('./parser.js').VideoResult[],
+ *   continuationToken: string|null,
+ *   diagnostics: import('./parser.js').ParseDiagnostics
+ * }}
+ */
+export function parsePlaylistVideos(response, options = {}) {
+  const tabs = response?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+  const sections = tabs[0]?.tabRenderer?.content?.sectionListRenderer?.contents || [];
+  const list = sections
+    .flatMap((section) => section.itemSectionRenderer?.contents || [])
+    .find((item) => item.playlistVideoListRenderer)?.playlistVideoListRenderer;
+
+  return parseItemList(list?.contents, options);
+}
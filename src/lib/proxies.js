@@ -0,0 +1,242 @@
+/**
+ * Proxy selection and health tracking.
+ * Spreads requests over several CORS proxies, takes failing or rate-limited proxies out of
+ * rotation for a while, and falls back to direct requests where CORS does not apply.
+ *
+ * @module proxies
+ */
+
+/**
+ * Builds the URL to request through a proxy from the target URL.
+ * @callback ProxyFormatter
+ * @param {string} targetUrl
+ * @returns {string}
+ */
+
+/**
+ * @typedef {Object} ProxyEndpoint
+ * @property {string|ProxyFormatter} url - URL of the proxy, or a function building the
+ *   proxied URL.
+ * @property {'prefix'|'query'|'path'|'template'} [mode] - How the target URL is passed:
+ *   'prefix' appends it as is, 'query' URL-encoded as the `param` query parameter, 'path'
+ *   URL-encoded as the last path segment, and 'template' URL-encoded in place of `{url}`
+ *   (default: 'template' if `url` contains `{url}`, 'prefix' otherwise).
+ * @property {string} [param='url'] - Query parameter for the 'query' mode.
+ * @property {Object<string, string>} [headers] - Extra headers for requests through this
+ *   proxy, e.g. an auth token.
+ * @property {number} [weight=1] - Relative share of requests with the 'weighted' strategy.
+ */
+
+/**
+ * @typedef {Object} ProxyConfig
+ * @property {Array<string|ProxyFormatter|ProxyEndpoint>} proxies - Proxies, in order of
+ *   preference.
+ * @property {'failover'|'round-robin'|'weighted'} [strategy='failover'] - 'failover' sends
+ *   every request to the first healthy proxy, 'round-robin' to each healthy proxy in turn,
+ *   'weighted' to a healthy proxy picked at random by weight.
+ * @property {number} [maxFailures=3] - Consecutive failures after which a proxy cools down.
+ * @property {number} [cooldown=30000] - How long in ms a proxy is skipped once it cools down,
+ *   or after a 429 response without a Retry-After header.
+ * @property {boolean} [direct] - Send requests without a proxy when no proxy is healthy
+ *   (default: true in Node, where CORS does not apply; false elsewhere).
+ */
+
+/**
+ * @typedef {Object} ProxyHealth
+ * @property {string|ProxyFormatter|null} url - URL of the proxy as configured, or null for
+ *   direct requests.
+ * @property {number} weight
+ * @property {number} failures - Consecutive failures; reset by a response.
+ * @property {number|null} latency - Moving average of the response time in ms, or null
+ *   before the first response.
+ * @property {number} cooldownUntil - Time in ms until which the proxy is skipped; 0 if healthy.
+ */
+
+const STRATEGIES = ['failover', 'round-robin', 'weighted'];
+const MODES = ['prefix', 'query', 'path', 'template'];
+
+// Weight of the latest response time in the moving average.
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * @returns {boolean} Whether the code runs in Node, where requests need no CORS proxy.
+ */
+function isNode() {
+  return typeof globalThis.process?.versions?.node === 'string';
+}
+
+/**
+ * Bring every accepted form of the `proxyUrl` option into the `ProxyConfig` form.
+ * A single proxy keeps its original behaviour: every request goes through it.
+ * @param {string|ProxyFormatter|ProxyEndpoint|Array<string|ProxyFormatter|ProxyEndpoint>|ProxyConfig} [proxyUrl]
+ * @returns {ProxyConfig}
+ */
+function normalizeConfig(proxyUrl) {
+  if (!proxyUrl) return { proxies: [] };
+  if (Array.isArray(proxyUrl)) return { proxies: proxyUrl };
+  if (typeof proxyUrl === 'object' && 'proxies' in proxyUrl) return proxyUrl;
+  return { proxies: [proxyUrl], direct: false };
+}
+
+/**
+ * @param {string|ProxyFormatter|ProxyEndpoint|{ url: null }} endpoint - `{ url: null }` for
+ *   direct requests.
+ * @returns {ProxyHealth & { mode: string, param: string, headers: Object<string, string> }}
+ */
+function createRoute(endpoint) {
+  const {
+    url = null,
+    mode = typeof url === 'string' && url.includes('{url}') ? 'template' : 'prefix',
+    param = 'url',
+    headers = {},
+    weight = 1,
+  } = typeof endpoint === 'object' ? endpoint : { url: endpoint };
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown proxy mode: ${mode}. Use one of: ${MODES.join(', ')}`);
+  }
+  return { url, mode, param, headers, weight, failures: 0, latency: null, cooldownUntil: 0 };
+}
+
+/**
+ * Build the URL to request for a target URL through a proxy.
+ * @param {{ url: string|ProxyFormatter|null, mode: string, param: string }} route - A route of
+ *   the pool; direct requests have no `url`.
+ * @param {string} targetUrl
+ * @returns {string}
+ */
+export function formatProxyUrl({ url, mode, param }, targetUrl) {
+  if (url === null) return targetUrl;
+  if (typeof url === 'function') return url(targetUrl);
+
+  const encoded = encodeURIComponent(targetUrl);
+  switch (mode) {
+    case 'query': {
+      // Accept the proxy URL with or without the empty parameter at its end.
+      const key = `${encodeURIComponent(param)}=`;
+      if (url.endsWith(`?${key}`) || url.endsWith(`&${key}`)) return `${url}${encoded}`;
+      const separator = /[?&]$/.test(url) ? '' : url.includes('?') ? '&' : '?';
+      return `${url}${separator}${key}${encoded}`;
+    }
+    case 'path':
+      return `${url.endsWith('/') ? url : `${url}/`}${encoded}`;
+    case 'template':
+      return url.replaceAll('{url}', encoded);
+    default:
+      return `${url}${targetUrl}`;
+  }
+}
+
+export class ProxyPool {
+  /**
+   * @param {string|Array<string|ProxyEndpoint>|ProxyConfig} [proxyUrl] - A proxy URL, a list of
+   *   proxies, or proxies with their settings.
+   * @param {Object} [options]
+   * @param {function(): number} [options.clock] - Returns the current time in ms.
+   */
+  constructor(proxyUrl, { clock = Date.now } = {}) {
+    const {
+      proxies,
+      strategy = 'failover',
+      maxFailures = 3,
+      cooldown = 30000,
+      direct = isNode(),
+    } = normalizeConfig(proxyUrl);
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown proxy strategy: ${strategy}. Use one of: ${STRATEGIES.join(', ')}`);
+    }
+
+    this.strategy = strategy;
+    this.maxFailures = maxFailures;
+    this.cooldown = cooldown;
+    this.clock = clock;
+    /** @type {ProxyHealth[]} */
+    this.routes = proxies.map(createRoute);
+    /** @type {ProxyHealth|null} Route for requests without a proxy. */
+    this.direct = direct || !this.routes.length ? createRoute({ url: null }) : null;
+    this._turn = 0;
+  }
+
+  /**
+   * Pick the route for the next request.
+   * Healthy proxies come first, then the direct route. If nothing else is left and nothing was
+   * tried yet, the proxy that recovers soonest is used rather than failing without a request.
+   * @param {Set<ProxyHealth>} [tried] - Routes that already failed for this request.
+   * @returns {ProxyHealth|null} The route, or null when every route was tried.
+   */
+  select(tried = new Set()) {
+    const now = this.clock();
+    const healthy = this.routes.filter((route) => !tried.has(route) && route.cooldownUntil <= now);
+    if (healthy.length) return this._pick(healthy);
+    if (this.direct && !tried.has(this.direct)) return this.direct;
+    if (tried.size) return null;
+    return this.routes.reduce((soonest, route) =>
+      route.cooldownUntil < soonest.cooldownUntil ? route : soonest
+    );
+  }
+
+  /**
+   * Pick one of the healthy proxies according to the strategy.
+   * @private
+   * @param {ProxyHealth[]} healthy - In order of preference.
+   * @returns {ProxyHealth}
+   */
+  _pick(healthy) {
+    if (this.strategy === 'round-robin') {
+      // Take the first healthy proxy at or after the turn, so every proxy gets its share.
+      const next = healthy.find((route) => this.routes.indexOf(route) >= this._turn) || healthy[0];
+      this._turn = this.routes.indexOf(next) + 1;
+      return next;
+    }
+    if (this.strategy === 'weighted') {
+      let threshold = Math.random() * healthy.reduce((sum, route) => sum + route.weight, 0);
+      return healthy.find((route) => (threshold -= route.weight) < 0) || healthy.at(-1);
+    }
+    return healthy[0];
+  }
+
+  /**
+   * Record a response received through a route, even one with an error status.
+   * @param {ProxyHealth} route
+   * @param {number} latency - Response time in ms.
+   */
+  success(route, latency) {
+    route.failures = 0;
+    route.cooldownUntil = 0;
+    route.latency =
+      route.latency === null
+        ? latency
+        : Math.round(route.latency + LATENCY_SMOOTHING * (latency - route.latency));
+  }
+
+  /**
+   * Record a failed request: a network error or a transient error status.
+   * A route cools down after `maxFailures` consecutive failures, or at once when rate-limited.
+   * @param {ProxyHealth} route
+   * @param {Object} [options]
+   * @param {boolean} [options.rateLimited] - The response was 429 Too Many Requests.
+   * @param {number|null} [options.retryAfter] - Cooldown in ms asked for by Retry-After.
+   */
+  failure(route, { rateLimited = false, retryAfter = null } = {}) {
+    route.failures++;
+    if (rateLimited) {
+      route.cooldownUntil = this.clock() + (retryAfter ?? this.cooldown);
+    } else if (route.failures >= this.maxFailures) {
+      route.cooldownUntil = this.clock() + this.cooldown;
+    }
+  }
+
+  /**
+   * @returns {ProxyHealth[]} A snapshot of every route, proxies first, then the direct route.
+   */
+  health() {
+    return [...this.routes, ...(this.direct ? [this.direct] : [])].map(
+      ({ url, weight, failures, latency, cooldownUntil }) => ({
+        url,
+        weight,
+        failures,
+        latency,
+        cooldownUntil,
+      })
+    );
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Storage adapters for the cache.
+ * An adapter has the method names of Web Storage, so `localStorage` and
+ * `sessionStorage` are adapters themselves. Methods may return promises
+ * (IndexedDB, filesystem, or a user-supplied adapter backed by Redis and the like).
+ *
+ * @module stores
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): (string|null|Promise<string|null>)} getItem - Value of a key,
+ *   or null if it is not set.
+ * @property {function(string, string): (void|Promise<void>)} setItem
+ * @property {function(string): (void|Promise<void>)} removeItem
+ * @property {function(): (string[]|Promise<string[]>)} [keys] - All keys in the store, used to
+ *   find orphaned entries. Web Storage is listed through its `key()` method instead.
+ */
+
+/**
+ * Import a Node built-in at runtime.
+ * The specifier is not a literal, so bundlers leave it out of browser builds.
+ * @param {string} specifier
+ * @returns {Promise<Object>}
+ */
+function importBuiltin(specifier) {
+  return import(specifier);
+}
+
+/**
+ * Check whether a Web Storage global can be used.
+ * Reading it throws in sandboxed frames and it is missing in Node and Web Workers.
+ * @param {'localStorage'|'sessionStorage'} name
+ * @returns {boolean}
+ */
+function isWebStorageAvailable(name) {
+  try {
+    return typeof globalThis[name]?.getItem === 'function';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get a Web Storage global as a store.
+ * @param {'localStorage'|'sessionStorage'} name
+ * @returns {CacheStore}
+ */
+function webStorage(name) {
+  if (!isWebStorageAvailable(name)) throw new Error(`${name} is not available`);
+  return globalThis[name];
+}
+
+/**
+ * Create a store that keeps values in memory, for the lifetime of the process or page.
+ * @returns {CacheStore}
+ */
+export function createMemoryStore() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    keys: () => [...items.keys()],
+  };
+}
+
+/**
+ * Create a store backed by an IndexedDB object store. All methods are asynchronous.
+ * @param {Object} [options]
+ * @param {string} [options.databaseName='yt-search-lib']
+ * @param {string} [options.storeName='cache']
+ * @returns {CacheStore}
+ */
+export function createIndexedDBStore({ databaseName = 'yt-search-lib', storeName = 'cache' } = {}) {
+  if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+
+  let database = null;
+  const open = () => {
+    database ||= new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return database;
+  };
+
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    getItem: async (key) => (await run('readonly', (store) => store.get(key))) ?? null,
+    setItem: async (key, value) => {
+      await run('readwrite', (store) => store.put(String(value), key));
+    },
+    removeItem: async (key) => {
+      await run('readwrite', (store) => store.delete(key));
+    },
+    keys: () => run('readonly', (store) => store.getAllKeys()),
+  };
+}
+
+/**
+ * Create a store that keeps one file per key in a directory (Node.js only).
+ * All methods are asynchronous.
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Defaults to `yt-search-lib` in the OS temp directory.
+ * @returns {CacheStore}
+ */
+export function createFileStore({ directory } = {}) {
+  let modules = null;
+  const load = () => {
+    modules ||= Promise.all([
+      importBuiltin('node:fs/promises'),
+      importBuiltin('node:path'),
+      importBuiltin('node:os'),
+      importBuiltin('node:crypto'),
+    ]).then(async ([fs, path, os, crypto]) => {
+      const dir = directory || path.join(os.tmpdir(), 'yt-search-lib');
+      await fs.mkdir(dir, { recursive: true });
+      // Keys contain search queries, so they are hashed into safe file names.
+      const fileOf = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex'));
+      return { fs, fileOf };
+    });
+    return modules;
+  };
+
+  return {
+    getItem: async (key) => {
+      const { fs, fileOf } = await load();
+      try {
+        return await fs.readFile(fileOf(key), 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    setItem: async (key, value) => {
+      const { fs, fileOf } = await load();
+      // Write to a temporary file and rename it, so readers never see a partial value.
+      const file = fileOf(key);
+      const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temporary, String(value));
+      await fs.rename(temporary, file);
+    },
+    removeItem: async (key) => {
+      const { fs, fileOf } = await load();
+      await fs.rm(fileOf(key), { force: true });
+    },
+  };
+}
+
+/**
+ * List the keys in a store.
+ * @param {CacheStore} store
+ * @returns {string[]|Promise<string[]>|null} The keys, or null if the store cannot list them
+ *   (the file store, which only keeps hashes of its keys).
+ */
+export function listKeys(store) {
+  if (typeof store.keys === 'function') return store.keys();
+  if (typeof store.key === 'function' && typeof store.length === 'number') {
+    return Array.from({ length: store.length }, (_, i) => store.key(i));
+  }
+  return null;
+}
+
+/**
+ * Store factories by name, for the `cache.store` client option.
+ */
+const STORES = {
+  memory: createMemoryStore,
+  localStorage: () => webStorage('localStorage'),
+  sessionStorage: () => webStorage('sessionStorage'),
+  indexedDB: createIndexedDBStore,
+  fs: createFileStore,
+};
+
+/**
+ * Resolve the `cache.store` option to a store.
+ * @param {string|CacheStore} [store] - A store name from `STORES`, or an adapter.
+ *   Defaults to `localStorage` where it is available and memory otherwise.
+ * @returns {CacheStore}
+ */
+export function resolveStore(store) {
+  if (!store) {
+    return isWebStorageAvailable('localStorage') ? globalThis.localStorage : createMemoryStore();
+  }
+  if (typeof store === 'string') {
+    if (!STORES[store]) throw new Error(`Unknown cache store: ${store}`);
+    return STORES[store]();
+  }
+  return store;
+}
@@ -0,0 +1,32 @@
+/**
+ * Parser for YouTube's search suggestion endpoint.
+ * Depending on the `client` parameter the endpoint answers with JSONP
+ * (`window.google.ac.h([...])`) or plain JSON; both wrap the same array.
+ *
+ * @module suggest
+ */
+
+/**
+ * Parse a suggestion payload into a list of suggestions.
+ * @param {string} payload - Raw response text.
+ * @returns {string[]}
+ */
+export function parseSuggestions(payload) {
+  const text = String(payload ?? '');
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end < start) return [];
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return [];
+  }
+
+  // data is [query, suggestions, meta]; JSONP suggestions are [text, type, [...]] tuples
+  const entries = Array.isArray(data?.[1]) ? data[1] : [];
+  return entries
+    .map((entry) => (Array.isArray(entry) ? entry[0] : entry))
+    .filter((suggestion) => typeof suggestion === 'string');
+}
@@ -0,0 +1,135 @@
+/**
+ * Transcript parsing and serialization.
+ * Transcripts come from the InnerTube `/get_transcript` endpoint, or from a
+ * caption track's timed text (`fmt=json3`) when that endpoint is unavailable.
+ *
+ * @module transcript
+ */
+
+import { getText } from './parser.js';
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {string} text
+ */
+
+/**
+ * Find the `/get_transcript` params in the transcript engagement panel of a `/next` response.
+ * @param {Object} next - Raw JSON response from `/next`.
+ * @returns {string|null}
+ */
+export function findTranscriptParams(next) {
+  const panel = (next?.engagementPanels || [])
+    .map((p) => p.engagementPanelSectionListRenderer)
+    .find((p) => p?.panelIdentifier === 'engagement-panel-searchable-transcript');
+
+  return (
+    panel?.content?.continuationItemRenderer?.continuationEndpoint?.getTranscriptEndpoint?.params ||
+    null
+  );
+}
+
+/**
+ * Parse a `/get_transcript` response.
+ * @param {Object} response - Raw JSON response from `/get_transcript`.
+ * @returns {{
+ *   segments: TranscriptSegment[],
+ *   languageMenu: Array<{ title: string, selected: boolean, params: string }>
+ * }}
+ */
+export function parseTranscriptResponse(response) {
+  const action = (response?.actions || []).find((a) => a.updateEngagementPanelAction);
+  const panel =
+    action?.updateEngagementPanelAction?.content?.transcriptRenderer?.content
+      ?.transcriptSearchPanelRenderer;
+
+  const segments = (panel?.body?.transcriptSegmentListRenderer?.initialSegments || [])
+    .map((s) => s.transcriptSegmentRenderer)
+    .filter(Boolean)
+    .map((segment) => ({
+      startMs: Number(segment.startMs),
+      endMs: Number(segment.endMs),
+      text: getText(segment.snippet),
+    }));
+
+  const menuItems =
+    panel?.footer?.transcriptFooterRenderer?.languageMenu?.sortFilterSubMenuRenderer
+      ?.subMenuItems || [];
+  const languageMenu = menuItems.map((item) => ({
+    title: item.title,
+    selected: Boolean(item.selected),
+    params: item.continuation?.reloadContinuationData?.continuation,
+  }));
+
+  return { segments, languageMenu };
+}
+
+/**
+ * Parse a caption track in the `json3` timed text format.
+ * @param {Object} timedText - Parsed JSON of the caption track.
+ * @returns {TranscriptSegment[]}
+ */
+export function parseTimedText(timedText) {
+  return (timedText?.events || [])
+    .filter((event) => event.segs)
+    .map((event) => ({
+      startMs: event.tStartMs || 0,
+      endMs: (event.tStartMs || 0) + (event.dDurationMs || 0),
+      text: event.segs
+        .map((seg) => seg.utf8)
+        .join('')
+        .trim(),
+    }))
+    .filter((segment) => segment.text);
+}
+
+/**
+ * Format milliseconds as HH:MM:SS<sep>mmm.
+ * @param {number} ms
+ * @param {string} separator - ',' for SRT, '.' for WebVTT.
+ * @returns {string}
+ */
+function formatTimestamp(ms, separator) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Serialize transcript segments to SubRip (SRT).
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function toSRT(segments) {
+  return segments
+    .map(
+      (s, i) =>
+        `${i + 1}\n${formatTimestamp(s.startMs, ',')} --> ${formatTimestamp(s.endMs, ',')}\n${s.text}\n`
+    )
+    .join('\n');
+}
+
+/**
+ * Serialize transcript segments to WebVTT.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function toWebVTT(segments) {
+  const cues = segments.map(
+    (s) => `${formatTimestamp(s.startMs, '.')} --> ${formatTimestamp(s.endMs, '.')}\n${s.text}\n`
+  );
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Serialize transcript segments to plain text, one segment per line.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function toPlainText(segments) {
+  return segments.map((s) => s.text).join('\n');
+}
@@ -1,62 +1,379 @@
 /**
  * Transport layer for handling HTTP requests to InnerTube API.
- * Handles fetch, proxying, and error normalization.
+ * Handles fetch, proxying, retries and error normalization.
  *
  * @module transport
  */
 
+import {
+  HttpError,
+  NetworkError,
+  ParseError,
+  ProxyError,
+  RateLimitError,
+  toAbortError,
+} from './errors.js';
+import { createDiagnostics } from './parser.js';
+import { ProxyPool, formatProxyUrl } from './proxies.js';
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - Attempts per request, including the first; 1 disables retries.
+ * @property {number} [baseDelay=500] - Backoff in ms before the first retry, doubled for each
+ *   further one. The actual delay is a random value up to the backoff (full jitter).
+ * @property {number} [maxDelay=30000] - Upper bound of the backoff in ms. A `Retry-After`
+ *   longer than this fails the request instead of waiting.
+ * @property {number[]} [statuses] - HTTP statuses worth retrying (default: 408, 429, 500,
+ *   502, 503, 504). Network errors are always retried, aborted requests never.
+ */
+
+/**
+ * @typedef {Object} RetryEvent
+ * @property {string} url - URL of the request, without the proxy.
+ * @property {number} attempt - Number of the attempt that failed, starting at 1. Failing over
+ *   to another proxy is part of the same attempt.
+ * @property {number} delay - Wait in ms before the next attempt; 0 when failing over.
+ * @property {number|null} status - HTTP status, or null for a network error.
+ * @property {import('./errors.js').NetworkError|import('./errors.js').ParseError|null} error -
+ *   The network error, the error for a body that could not be read, or null for an HTTP error.
+ * @property {string|function|null} proxy - Proxy the failed request went through, as
+ *   configured, or null if direct.
+ */
+
+/**
+ * @typedef {Object} RequestEvent
+ * @property {string} url - URL of the request, without the proxy.
+ * @property {string|function|null} proxy - Proxy that served the response, as configured, or
+ *   null if direct.
+ * @property {number} status - HTTP status of the response.
+ * @property {number} latency - Response time in ms.
+ * @property {Array<string|function|null>} failed - Proxies that failed before, in order; null
+ *   stands for a direct request.
+ */
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  statuses: [408, 429, 500, 502, 503, 504],
+};
+
+/**
+ * Parse a Retry-After header, either seconds or an HTTP date.
+ * @param {string|null} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Delay in ms, or null without a valid header.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Wait for a delay, or until a signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Call an event callback without letting it change the outcome of the request.
+ * Its exceptions are rethrown asynchronously, as EventTarget does for listeners.
+ * @param {function(Object): void|null} callback
+ * @param {Object} event
+ */
+function notify(callback, event) {
+  try {
+    callback?.(event);
+  } catch (error) {
+    queueMicrotask(() => {
+      throw error;
+    });
+  }
+}
+
 export class Transport {
   /**
    * @param {Object} config
-   * @param {string} [config.proxyUrl] - Optional proxy URL (e.g. 'https://cors-anywhere.herokuapp.com/')
+   * @param {string|import('./proxies.js').ProxyFormatter|import('./proxies.js').ProxyEndpoint|Array|import('./proxies.js').ProxyConfig} [config.proxyUrl]
+   *   - Optional proxy URL (e.g. 'https://cors-anywhere.herokuapp.com/'), a proxy with its URL
+   *   format and headers, or several proxies to spread requests over and fail over between.
    * @param {function} [config.fetch] - Optional fetch polyfill/replacement
    * @param {Object} [config.headers] - Custom headers
+   * @param {RetryPolicy|false} [config.retry] - Retry policy, or false to make a single attempt.
+   *   InnerTube requests only read data, so POSTs are as safe to repeat as GETs.
+   * @param {function(RetryEvent): void} [config.onRetry] - Called before each retry.
+   * @param {function(RequestEvent): void} [config.onRequest] - Called with every response that
+   *   settles a request.
    */
   constructor(config = {}) {
     this.proxyUrl = config.proxyUrl || '';
+    this.proxies = new ProxyPool(config.proxyUrl);
     this.fetch = config.fetch || globalThis.fetch.bind(globalThis);
     this.headers = config.headers || {};
+    this.retry =
+      config.retry === false
+        ? { ...DEFAULT_RETRY, maxAttempts: 1 }
+        : { ...DEFAULT_RETRY, ...config.retry };
+    this.onRetry = config.onRetry || null;
+    this.onRequest = config.onRequest || null;
   }
 
   /**
    * Make a POST request to InnerTube.
    * @param {string} url - Full URL.
    * @param {Object} body - JSON body.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
    * @returns {Promise<Object>} JSON response.
    */
-  async post(url, body) {
-    const targetUrl = this.proxyUrl ? `${this.proxyUrl}${url}` : url;
+  post(url, body, { signal } = {}) {
+    return this._request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.headers,
+        },
+        body: JSON.stringify(body),
+        signal,
+      },
+      (response) => response.json()
+    );
+  }
+
+  /**
+   * Make a GET request and return the raw response text.
+   * Used for endpoints outside InnerTube that answer with JSONP or plain text.
+   * @param {string} url - Full URL.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @returns {Promise<string>} Response text.
+   */
+  get(url, { signal } = {}) {
+    return this._request(url, { method: 'GET', headers: { ...this.headers }, signal }, (response) =>
+      response.text()
+    );
+  }
 
-    // Some proxies require the target URL to be encoded, others don't.
-    // Standard CORS proxies usually take the full URL as path.
-    // If the proxy simply forwards, we might need to handle headers carefully.
+  /**
+   * Make a GET request and return the JSON response.
+   * @param {string} url - Full URL.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @returns {Promise<Object>} JSON response.
+   */
+  getJson(url, { signal } = {}) {
+    return this._request(
+      url,
+      { method: 'GET', headers: { ...this.headers }, signal },
+      async (response) => JSON.parse(await response.text())
+    );
+  }
 
-    const requestHeaders = {
-      'Content-Type': 'application/json',
-      ...this.headers,
-    };
+  /**
+   * Send a request through the proxies, if any are configured, retrying transient failures.
+   * A network error, transient status or unreadable body fails over to the next healthy route
+   * at once; only when every route failed does the request back off before the next attempt.
+   * @private
+   * @param {string} url - Full URL.
+   * @param {Object} init - fetch() options.
+   * @param {function(Response): Promise<any>} read - Reads the body of a successful response.
+   * @returns {Promise<any>} The body of a successful response.
+   */
+  async _request(url, init, read) {
+    const { maxAttempts, statuses } = this.retry;
+    const tried = new Set();
+    const failed = [];
+    let route = this.proxies.select(tried);
 
     try {
-      const response = await this.fetch(targetUrl, {
-        method: 'POST',
-        headers: requestHeaders,
-        body: JSON.stringify(body),
-      });
+      for (let attempt = 1; ; ) {
+        init.signal?.throwIfAborted();
+        tried.add(route);
+        const started = Date.now();
+        let response = null;
+        let error = null;
+        try {
+          response = await this.fetch(formatProxyUrl(route, url), {
+            ...init,
+            headers: { ...init.headers, ...route.headers },
+          });
+        } catch (cause) {
+          if (cause?.name === 'AbortError' || init.signal?.aborted) throw cause;
+          error = this._networkError(cause, route.url);
+        }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Request failed: ${response.status} ${response.statusText} - ${errorText}`);
-      }
+        const status = response?.status ?? null;
+        if (response && (response.ok || !statuses.includes(status))) {
+          const latency = Date.now() - started;
+          // An HTTP error still proves the route works; a body that cannot be read does not.
+          let body = null;
+          if (response.ok) {
+            try {
+              body = await read(response);
+            } catch (cause) {
+              if (cause?.name === 'AbortError' || init.signal?.aborted) throw cause;
+              error = this._readError(url, cause, route.url);
+            }
+          }
+          if (!error) {
+            this.proxies.success(route, latency);
+            notify(this.onRequest, { url, proxy: route.url, status, latency, failed });
+            if (response.ok) return body;
+            throw await this._httpError(url, response);
+          }
+        }
 
-      return await response.json();
-    } catch (error) {
-      // Enhance error message
-      if (error.message.includes('Failed to fetch')) {
-        throw new Error(
-          'Network error: Failed to connect. Check your internet connection or proxy settings.'
-        );
+        const retryAfter = response && parseRetryAfter(response.headers?.get('Retry-After'));
+        this.proxies.failure(route, { rateLimited: status === 429, retryAfter });
+        failed.push(route.url);
+        const event = { url, attempt, delay: 0, status, error, proxy: route.url };
+
+        const next = this.proxies.select(tried);
+        if (next) {
+          notify(this.onRetry, event);
+          route = next;
+          continue;
+        }
+
+        if (attempt < maxAttempts) {
+          event.delay = response ? this._retryDelay(response, attempt) : this._backoff(attempt);
+        }
+        if (attempt >= maxAttempts || event.delay === null) {
+          throw error || (await this._httpError(url, response));
+        }
+        await this._retry(event, init);
+        attempt++;
+        tried.clear();
+        route = this.proxies.select(tried);
       }
-      throw error;
+    } catch (error) {
+      if (init.signal?.aborted) throw toAbortError(init.signal.reason);
+      throw error?.name === 'AbortError' ? toAbortError(error) : error;
+    }
+  }
+
+  /**
+   * Report a retry and wait for its delay.
+   * @private
+   * @param {RetryEvent} event
+   * @param {Object} init - fetch() options of the request.
+   * @returns {Promise<void>}
+   */
+  async _retry(event, init) {
+    notify(this.onRetry, event);
+    await wait(event.delay, init.signal);
+  }
+
+  /**
+   * Exponential backoff with full jitter.
+   * @private
+   * @param {number} attempt - Number of the attempt that failed.
+   * @returns {number} Delay in ms.
+   */
+  _backoff(attempt) {
+    const { baseDelay, maxDelay } = this.retry;
+    return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+  }
+
+  /**
+   * Delay before retrying a failed response: its Retry-After if it has one, the backoff otherwise.
+   * @private
+   * @param {Response} response
+   * @param {number} attempt - Number of the attempt that failed.
+   * @returns {number|null} Delay in ms, or null if Retry-After asks to wait longer than `maxDelay`.
+   */
+  _retryDelay(response, attempt) {
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+    if (retryAfter === null) return this._backoff(attempt);
+    return retryAfter > this.retry.maxDelay ? null : retryAfter;
+  }
+
+  /**
+   * Wrap a failed fetch() in a `NetworkError`, or a `ProxyError` when it went through a proxy.
+   * @private
+   * @param {Error} cause
+   * @param {string|function|null} proxyUrl - Proxy of the request, or null if direct.
+   * @returns {NetworkError}
+   */
+  _networkError(cause, proxyUrl) {
+    if (proxyUrl !== null) {
+      const name = typeof proxyUrl === 'function' ? proxyUrl.name || 'function' : proxyUrl;
+      return new ProxyError(
+        `Network error: Failed to connect through the proxy ${name}. Check the proxy settings.`,
+        { proxyUrl, cause }
+      );
+    }
+    return new NetworkError(
+      'Network error: Failed to connect. Check your internet connection or proxy settings.',
+      { cause }
+    );
+  }
+
+  /**
+   * Wrap a body that could not be read, such as the HTML page of a proxy in place of JSON, in a
+   * `ProxyError` when it went through a proxy, or a `ParseError` otherwise.
+   * @private
+   * @param {string} url - URL of the request, without the proxy.
+   * @param {Error} cause
+   * @param {string|function|null} proxyUrl - Proxy of the request, or null if direct.
+   * @returns {ProxyError|ParseError}
+   */
+  _readError(url, cause, proxyUrl) {
+    if (proxyUrl !== null) {
+      const name = typeof proxyUrl === 'function' ? proxyUrl.name || 'function' : proxyUrl;
+      return new ProxyError(
+        `Invalid response from the proxy ${name}: ${cause.message}. Check the proxy settings.`,
+        { proxyUrl, cause }
+      );
+    }
+    const message = `Invalid response from ${url}: ${cause.message}`;
+    const diagnostics = createDiagnostics();
+    diagnostics.errors.push(message);
+    return new ParseError(message, diagnostics, { cause });
+  }
+
+  /**
+   * Build the error for a failed response: a `RateLimitError` for 429, an `HttpError` otherwise.
+   * @private
+   * @param {string} url - URL of the request, without the proxy.
+   * @param {Response} response
+   * @returns {Promise<HttpError>}
+   */
+  async _httpError(url, response) {
+    const { status, statusText } = response;
+    const body = await response.text();
+    const details = {
+      url,
+      status,
+      statusText,
+      body,
+      headers: Object.fromEntries(response.headers?.entries() ?? []),
+    };
+    const message = `Request failed: ${status} ${statusText} - ${body}`;
+
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+      return new RateLimitError(message, { ...details, retryAfter });
     }
+    return new HttpError(message, details);
   }
 }
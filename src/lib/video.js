@@ -0,0 +1,210 @@
+/**
+ * Parser for InnerTube `/player` and `/next` responses.
+ * Combines both into a single video details object.
+ *
+ * @module video
+ */
+
+import { getText, parseItemList } from './parser.js';
+
+/**
+ * @typedef {Object} CaptionTrack
+ * @property {string} languageCode
+ * @property {string} name
+ * @property {string} kind - 'asr' for auto-generated tracks, 'standard' otherwise.
+ * @property {boolean} isTranslatable
+ * @property {string} url - Timed text URL for the track.
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string} title
+ * @property {number} startSeconds
+ * @property {import('./parser.js').Thumbnail[]} thumbnails
+ */
+
+/**
+ * @typedef {Object} VideoDetails
+ * @property {string} id
+ * @property {string} title
+ * @property {string} link
+ * @property {string} description
+ * @property {string[]} keywords
+ * @property {string} category
+ * @property {number} durationSeconds
+ * @property {number|null} viewCount
+ * @property {number|null} likeCount
+ * @property {string} publishDate
+ * @property {string} uploadDate
+ * @property {string} channelId
+ * @property {string} author
+ * @property {import('./parser.js').Thumbnail[]} thumbnails
+ * @property {boolean} isLive - Currently streaming.
+ * @property {boolean} isLiveContent - Is (or was) a live stream.
+ * @property {boolean} isUpcoming - Scheduled stream or premiere that has not started.
+ * @property {boolean} isPremiere
+ * @property {string|null} liveStartTime
+ * @property {string|null} liveEndTime
+ * @property {boolean} isPrivate
+ * @property {boolean} isUnlisted
+ * @property {boolean} isFamilySafe
+ * @property {CaptionTrack[]} captions
+ * @property {Chapter[]} chapters
+ * @property {{ status: string, reason: string, playableInEmbed: boolean }} playability
+ */
+
+/**
+ * Parse the digits out of a count string ("1,234,567 views" -> 1234567).
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseInteger(value) {
+  if (typeof value === 'number') return value;
+  const digits = String(value ?? '').replace(/[^\d]/g, '');
+  return digits ? Number(digits) : null;
+}
+
+/**
+ * Find the like count in the `/next` primary info renderer.
+ * YouTube has shipped several like button shapes; try each of them.
+ * @param {Object} primary - videoPrimaryInfoRenderer
+ * @returns {number|null}
+ */
+function parseLikeCount(primary) {
+  const buttons = primary?.videoActions?.menuRenderer?.topLevelButtons || [];
+
+  for (const button of buttons) {
+    const likeViewModel =
+      button.segmentedLikeDislikeButtonViewModel?.likeButtonViewModel?.likeButtonViewModel
+        ?.toggleButtonViewModel?.toggleButtonViewModel?.defaultButtonViewModel?.buttonViewModel;
+    if (likeViewModel) {
+      return parseInteger(likeViewModel.accessibilityText || likeViewModel.title);
+    }
+
+    const likeRenderer =
+      button.segmentedLikeDislikeButtonRenderer?.likeButton?.toggleButtonRenderer ||
+      (button.toggleButtonRenderer?.defaultIcon?.iconType === 'LIKE' &&
+        button.toggleButtonRenderer);
+    if (likeRenderer) {
+      return parseInteger(
+        likeRenderer.defaultText?.accessibility?.accessibilityData?.label ||
+          getText(likeRenderer.defaultText)
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse chapters from the player bar markers in the `/next` response.
+ * @param {Object} next
+ * @returns {Chapter[]}
+ */
+function parseChapters(next) {
+  const markersMap =
+    next?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+      ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+
+  const marker = markersMap.find((m) => m.key === 'DESCRIPTION_CHAPTERS') || markersMap[0];
+  const chapters = marker?.value?.chapters || [];
+
+  return chapters
+    .map((c) => c.chapterRenderer)
+    .filter(Boolean)
+    .map((chapter) => ({
+      title: getText(chapter.title),
+      startSeconds: Math.floor((chapter.timeRangeStartMillis || 0) / 1000),
+      thumbnails: chapter.thumbnail?.thumbnails || [],
+    }));
+}
+
+/**
+ * Parse the caption track list from the `/player` response.
+ * @param {Object} player
+ * @returns {CaptionTrack[]}
+ */
+export function parseCaptionTracks(player) {
+  const tracks = player?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+  return tracks.map((track) => ({
+    languageCode: track.languageCode,
+    name: getText(track.name),
+    kind: track.kind === 'asr' ? 'asr' : 'standard',
+    isTranslatable: Boolean(track.isTranslatable),
+    url: track.baseUrl,
+  }));
+}
+
+/**
+ * Combine `/player` and `/next` responses into video details.
+ * @param {Object} player - Raw JSON response from `/player`.
+ * @param {Object} [next] - Raw JSON response from `/next`.
+ * @returns {VideoDetails}
+ */
+export function parseVideoDetails(player, next) {
+  const details = player?.videoDetails || {};
+  const microformat = player?.microformat?.playerMicroformatRenderer || {};
+  const playability = player?.playabilityStatus || {};
+  const liveDetails = microformat.liveBroadcastDetails || {};
+
+  const watchContents = next?.contents?.twoColumnWatchNextResults?.results?.results?.contents || [];
+  const primary = watchContents.find((c) => c.videoPrimaryInfoRenderer)?.videoPrimaryInfoRenderer;
+
+  const id = details.videoId || next?.currentVideoEndpoint?.watchEndpoint?.videoId;
+  const isLiveContent = Boolean(details.isLiveContent);
+  const isUpcoming = Boolean(details.isUpcoming);
+
+  return {
+    id,
+    title: details.title || getText(microformat.title) || getText(primary?.title),
+    link: `https://www.youtube.com/watch?v=${id}`,
+    description: details.shortDescription ?? getText(microformat.description),
+    keywords: details.keywords || [],
+    category: microformat.category || '',
+    durationSeconds: Number(details.lengthSeconds || microformat.lengthSeconds || 0),
+    viewCount: parseInteger(details.viewCount ?? microformat.viewCount),
+    likeCount: parseLikeCount(primary),
+    publishDate: microformat.publishDate || '',
+    uploadDate: microformat.uploadDate || '',
+    channelId: details.channelId || microformat.externalChannelId || '',
+    author: details.author || microformat.ownerChannelName || '',
+    thumbnails: details.thumbnail?.thumbnails || [],
+    isLive: Boolean(details.isLive || liveDetails.isLiveNow),
+    isLiveContent,
+    isUpcoming,
+    // Premieres are scheduled like streams but are not live content.
+    isPremiere: isUpcoming && !isLiveContent,
+    liveStartTime: liveDetails.startTimestamp || null,
+    liveEndTime: liveDetails.endTimestamp || null,
+    isPrivate: Boolean(details.isPrivate),
+    isUnlisted: Boolean(microformat.isUnlisted),
+    isFamilySafe: microformat.isFamilySafe !== false,
+    captions: parseCaptionTracks(player),
+    chapters: parseChapters(next),
+    playability: {
+      status: playability.status || 'UNKNOWN',
+      reason: playability.reason || '',
+      playableInEmbed: Boolean(playability.playableInEmbed),
+    },
+  };
+}
+
+/**
+ * Parse the related ("up next") videos from the secondary results of a `/next` response.
+ * @param {Object} next - Raw JSON response from `/next`.
+ * @param {import('./parser.js').ParseOptions} [options]
+ * @returns {{
+ *   results: Object[],
+ *   continuationToken: string|null,
+ *   diagnostics: import('./parser.js').ParseDiagnostics
+ * }}
+ */
+export function parseRelatedResults(next, options = {}) {
+  const secondary =
+    next?.contents?.twoColumnWatchNextResults?.secondaryResults?.secondaryResults?.results || [];
+
+  // Some layouts wrap the sidebar items in an item section.
+  const items = secondary.flatMap((item) => item.itemSectionRenderer?.contents || [item]);
+  return parseItemList(items, options);
+}
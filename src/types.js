@@ -1,3 +1,14 @@
 export * from './index.js';
 export * from './lib/parser.js';
 export * from './lib/constants.js';
+export * from './lib/filters.js';
+export * from './lib/video.js';
+export * from './lib/channel.js';
+export * from './lib/playlist.js';
+export * from './lib/suggest.js';
+export * from './lib/comments.js';
+export * from './lib/transcript.js';
+export * from './lib/normalize.js';
+export * from './lib/locales.js';
+export * from './lib/stores.js';
+export * from './lib/errors.js';
@@ -31,9 +31,43 @@ Object.defineProperty(global, 'localStorage', {
 });
 
 // Import modules
-const { LRUCache } = await import('./src/lib/cache.js');
-const { Transport } = await import('./src/lib/transport.js');
-const { parseSearchResults } = await import('./src/lib/parser.js');
+const { LRUCache, serializeCompact } = await import('./src/lib/cache.js');
+const { createMemoryStore, createFileStore, resolveStore, listKeys } =
+  await import('./src/lib/stores.js');
+const { Transport, parseRetryAfter } = await import('./src/lib/transport.js');
+const { ProxyPool, formatProxyUrl } = await import('./src/lib/proxies.js');
+const { parseSearchResults, parseSearchMetadata, parseItemList } =
+  await import('./src/lib/parser.js');
+const {
+  YouTubeError,
+  NetworkError,
+  ProxyError,
+  HttpError,
+  RateLimitError,
+  ParseError,
+  NotFoundError,
+  InvalidCursorError,
+  AbortError,
+  TimeoutError,
+} = await import('./src/lib/errors.js');
+const { encodeSearchParams } = await import('./src/lib/filters.js');
+const { encodeCursor } = await import('./src/lib/cursor.js');
+const { parseCount, parseDuration, estimatePublishedAt, isStreamedText } =
+  await import('./src/lib/normalize.js');
+const { getLocale } = await import('./src/lib/locales.js');
+const { parseVideoDetails, parseRelatedResults } = await import('./src/lib/video.js');
+const { parseChannelMetadata, parseChannelTab } = await import('./src/lib/channel.js');
+const { parsePlaylistMetadata, parsePlaylistVideos } = await import('./src/lib/playlist.js');
+const { parseSuggestions } = await import('./src/lib/suggest.js');
+const { findCommentsContinuation, parseCommentsPage } = await import('./src/lib/comments.js');
+const {
+  findTranscriptParams,
+  parseTranscriptResponse,
+  parseTimedText,
+  toSRT,
+  toWebVTT,
+  toPlainText,
+} = await import('./src/lib/transcript.js');
 const YouTubeClient = (await import('./src/index.js')).default;
 
 // ============================================
@@ -42,6 +76,46 @@ const YouTubeClient = (await import('./src/index.js')).default;
 
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * A store with asynchronous methods, like an adapter for Redis.
+ * @returns {{ getItem: Function, setItem: Function, removeItem: Function, items: Map }}
+ */
+function createAsyncStore() {
+  const items = new Map();
+  return {
+    items,
+    getItem: async (key) => items.get(key) ?? null,
+    setItem: async (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+  };
+}
+
+/**
+ * A client without a cache whose fetch answers InnerTube requests from fixtures.
+ * @param {Object[]} bodies - Receives the parsed body of every request.
+ * @param {function(Object, string): Object} respond - Returns the response data for a request
+ *   body and URL.
+ * @returns {YouTubeClient}
+ */
+function createFixtureClient(bodies, respond) {
+  return new YouTubeClient({
+    useCache: false,
+    fetch: async (url, options) => {
+      const body = JSON.parse(options.body);
+      bodies.push(body);
+      const data = respond(body, url);
+      return { ok: true, json: async () => data };
+    },
+  });
+}
 
 describe('LRUCache', () => {
   beforeEach(() => {
@@ -188,6 +262,363 @@ describe('LRUCache', () => {
   });
 });
 
+describe('Cache stores', () => {
+  beforeEach(() => {
+    localStorageMock.clear();
+  });
+
+  describe('resolveStore()', () => {
+    it('should default to localStorage where available', () => {
+      assert.strictEqual(resolveStore(), localStorageMock);
+      assert.strictEqual(resolveStore('localStorage'), localStorageMock);
+    });
+
+    it('should fall back to memory without localStorage', () => {
+      global.localStorage = undefined;
+      try {
+        const store = resolveStore();
+        store.setItem('key', 'value');
+        assert.strictEqual(store.getItem('key'), 'value');
+        assert.throws(() => resolveStore('localStorage'), /localStorage is not available/);
+      } finally {
+        global.localStorage = localStorageMock;
+      }
+    });
+
+    it('should reject unknown and unavailable stores', () => {
+      assert.throws(() => resolveStore('redis'), /Unknown cache store: redis/);
+      assert.throws(() => resolveStore('indexedDB'), /IndexedDB is not available/);
+    });
+
+    it('should pass custom stores through', () => {
+      const store = createAsyncStore();
+      assert.strictEqual(resolveStore(store), store);
+    });
+  });
+
+  describe('LRUCache over a memory store', () => {
+    it('should stay synchronous and leave localStorage alone', () => {
+      const cache = new LRUCache('test_', 3600000, 2, createMemoryStore());
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+      cache.set('key3', 'value3');
+
+      assert.strictEqual(cache.get('key1'), null);
+      assert.strictEqual(cache.get('key3'), 'value3');
+      assert.deepStrictEqual(cache.keys, ['key2', 'key3']);
+      assert.strictEqual(localStorageMock.getItem('test_keys'), null);
+    });
+  });
+
+  describe('LRUCache stale entries', () => {
+    const storeWith = (timestamp) => {
+      const store = createMemoryStore();
+      store.setItem('test_keys', JSON.stringify(['key1']));
+      store.setItem('test_key1', JSON.stringify({ value: 'value1', timestamp }));
+      return store;
+    };
+
+    it('should return entries past maxAge as stale within the window', () => {
+      const cache = new LRUCache('test_', 1000, 10, storeWith(Date.now() - 5000), {
+        staleWhileRevalidate: 60000,
+      });
+      assert.deepStrictEqual(cache.getEntry('key1'), { value: 'value1', stale: true });
+      assert.strictEqual(cache.get('key1'), null);
+      assert.deepStrictEqual(cache.keys, ['key1']);
+    });
+
+    it('should remove entries past the window', () => {
+      const cache = new LRUCache('test_', 1000, 10, storeWith(Date.now() - 120000), {
+        staleWhileRevalidate: 60000,
+      });
+      assert.strictEqual(cache.getEntry('key1'), null);
+      assert.deepStrictEqual(cache.keys, []);
+    });
+
+    it('should mark fresh entries as not stale', () => {
+      const cache = new LRUCache('test_', 1000, 10, storeWith(Date.now()), {
+        staleWhileRevalidate: 60000,
+      });
+      assert.deepStrictEqual(cache.getEntry('key1'), { value: 'value1', stale: false });
+    });
+  });
+
+  describe('LRUCache byte budget', () => {
+    // A serialized item of a 100-character value takes a little over 250 bytes.
+    const value = 'x'.repeat(100);
+
+    it('should account for the size of each item', () => {
+      const store = createMemoryStore();
+      const cache = new LRUCache('test_', 3600000, 10, store);
+      cache.set('key1', value);
+
+      const size = store.getItem('test_key1').length * 2;
+      assert.deepStrictEqual(cache.sizes, { key1: size });
+      assert.strictEqual(cache.bytes, size);
+      assert.deepStrictEqual(new LRUCache('test_', 3600000, 10, store).sizes, { key1: size });
+    });
+
+    it('should evict least recently used items to stay within maxBytes', () => {
+      const cache = new LRUCache('test_', 3600000, 10, createMemoryStore(), { maxBytes: 600 });
+      cache.set('key1', value);
+      cache.set('key2', value);
+      cache.get('key1');
+      cache.set('key3', value);
+
+      assert.deepStrictEqual(cache.keys, ['key1', 'key3']);
+      assert.strictEqual(cache.get('key2'), null);
+      assert.ok(cache.bytes <= 600);
+    });
+
+    it('should not cache items larger than maxBytes', () => {
+      const cache = new LRUCache('test_', 3600000, 10, createMemoryStore(), { maxBytes: 600 });
+      cache.set('key1', value);
+      cache.set('key2', 'x'.repeat(1000));
+
+      assert.deepStrictEqual(cache.keys, ['key1']);
+      assert.strictEqual(cache.get('key2'), null);
+    });
+
+    it('should evict items until a new one fits when the store is full', () => {
+      const store = createMemoryStore();
+      const setItem = store.setItem;
+      // Room for two items.
+      store.setItem = (key, data) => {
+        if (key === 'test_key3' && store.getItem('test_key1') && store.getItem('test_key2')) {
+          const error = new Error('The quota has been exceeded.');
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        setItem(key, data);
+      };
+      const cache = new LRUCache('test_', 3600000, 10, store);
+      cache.set('key1', value);
+      cache.set('key2', value);
+      cache.set('key3', value);
+
+      assert.deepStrictEqual(cache.keys, ['key2', 'key3']);
+      assert.strictEqual(store.getItem('test_key1'), null);
+      assert.strictEqual(cache.get('key3'), value);
+    });
+
+    it('should drop an item that does not fit in an empty store', () => {
+      const store = createMemoryStore();
+      const setItem = store.setItem;
+      store.setItem = (key, data) => {
+        if (key === 'test_key1') throw Object.assign(new Error('No space'), { code: 'ENOSPC' });
+        setItem(key, data);
+      };
+      const cache = new LRUCache('test_', 3600000, 10, store);
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (...args) => warnings.push(args);
+      try {
+        cache.set('key1', value);
+      } finally {
+        console.warn = warn;
+      }
+
+      assert.deepStrictEqual(cache.keys, []);
+      assert.deepStrictEqual(cache.sizes, {});
+      assert.strictEqual(warnings[0][0], 'Cache set failed');
+    });
+
+    it('should evict on quota errors of an asynchronous store', async () => {
+      const store = createAsyncStore();
+      const setItem = store.setItem;
+      store.setItem = async (key, data) => {
+        if (key === 'test_key3' && store.items.has('test_key1')) {
+          throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        }
+        return setItem(key, data);
+      };
+      const cache = new LRUCache('test_', 3600000, 10, store);
+      cache.set('key1', value);
+      cache.set('key2', value);
+      await cache.set('key3', value);
+
+      assert.deepStrictEqual(cache.keys, ['key2', 'key3']);
+      assert.strictEqual(await cache.get('key3'), value);
+    });
+
+    it('should use custom serialization', () => {
+      const store = createMemoryStore();
+      const cache = new LRUCache('test_', 3600000, 10, store, {
+        serialize: (item) => `v1:${JSON.stringify(item)}`,
+        deserialize: (data) => JSON.parse(data.slice(3)),
+      });
+      cache.set('key1', value);
+
+      assert.ok(store.getItem('test_key1').startsWith('v1:'));
+      assert.strictEqual(cache.get('key1'), value);
+    });
+  });
+
+  describe('serializeCompact()', () => {
+    it('should keep only the largest image of each thumbnail list', () => {
+      const thumbnails = [
+        { url: 'small.jpg', width: 120 },
+        { url: 'large.jpg', width: 720 },
+      ];
+      const item = {
+        value: [{ id: 'a', thumbnails, thumbnail_url: 'large.jpg', channel: { thumbnails } }],
+        timestamp: 1,
+      };
+
+      assert.deepStrictEqual(JSON.parse(serializeCompact(item)), {
+        value: [
+          {
+            id: 'a',
+            thumbnails: [thumbnails[1]],
+            thumbnail_url: 'large.jpg',
+            channel: { thumbnails: [thumbnails[1]] },
+          },
+        ],
+        timestamp: 1,
+      });
+    });
+  });
+
+  describe('LRUCache shared between tabs', () => {
+    it('should keep the entries of both tabs', () => {
+      const store = createMemoryStore();
+      const tab1 = new LRUCache('test_', 3600000, 10, store);
+      const tab2 = new LRUCache('test_', 3600000, 10, store);
+      tab1.set('key1', 'value1');
+      tab2.set('key2', 'value2');
+      tab1.get('key1');
+
+      assert.deepStrictEqual(JSON.parse(store.getItem('test_keys')), ['key2', 'key1']);
+      assert.strictEqual(tab1.get('key2'), 'value2');
+      assert.deepStrictEqual(Object.keys(tab2.sizes).sort(), ['key1', 'key2']);
+    });
+
+    it('should evict entries added by another tab', () => {
+      const store = createMemoryStore();
+      const tab1 = new LRUCache('test_', 3600000, 2, store);
+      const tab2 = new LRUCache('test_', 3600000, 2, store);
+      tab1.set('key1', 'value1');
+      tab2.set('key2', 'value2');
+      tab1.set('key3', 'value3');
+
+      assert.strictEqual(store.getItem('test_key1'), null);
+      assert.strictEqual(tab2.get('key3'), 'value3');
+      assert.deepStrictEqual(tab2.keys, ['key2', 'key3']);
+    });
+
+    it('should sweep orphaned entries when created', () => {
+      const store = createMemoryStore();
+      store.setItem('test_keys', JSON.stringify(['key1']));
+      store.setItem('test_sizes', JSON.stringify({ key1: 2, key2: 2 }));
+      store.setItem('test_key1', JSON.stringify({ value: 'value1', timestamp: Date.now() }));
+      store.setItem('test_key2', JSON.stringify({ value: 'value2', timestamp: Date.now() }));
+      store.setItem('other_key2', 'kept');
+
+      const cache = new LRUCache('test_', 3600000, 10, store);
+      assert.deepStrictEqual(store.keys().sort(), [
+        'other_key2',
+        'test_key1',
+        'test_keys',
+        'test_sizes',
+      ]);
+      assert.deepStrictEqual(cache.sizes, { key1: 2 });
+      assert.strictEqual(cache.get('key1'), 'value1');
+    });
+
+    it('should sweep an asynchronous store', async () => {
+      const store = createAsyncStore();
+      store.keys = async () => [...store.items.keys()];
+      await store.setItem('test_key1', 'orphan');
+
+      const cache = new LRUCache('test_', 3600000, 10, store);
+      await cache.set('key2', 'value2');
+      assert.deepStrictEqual([...store.items.keys()].sort(), [
+        'test_key2',
+        'test_keys',
+        'test_sizes',
+      ]);
+    });
+  });
+
+  describe('listKeys()', () => {
+    it('should list Web Storage, stores with keys() and nothing else', () => {
+      const webStorage = { length: 2, key: (i) => ['a', 'b'][i] };
+      assert.deepStrictEqual(listKeys(webStorage), ['a', 'b']);
+
+      const store = createMemoryStore();
+      store.setItem('a', '1');
+      assert.deepStrictEqual(listKeys(store), ['a']);
+      assert.strictEqual(listKeys(createAsyncStore()), null);
+    });
+  });
+
+  describe('LRUCache over an asynchronous store', () => {
+    it('should return promises and evict the least recently used item', async () => {
+      const store = createAsyncStore();
+      const cache = new LRUCache('test_', 3600000, 2, store);
+
+      await cache.set('key1', 'value1');
+      await cache.set('key2', 'value2');
+      assert.strictEqual(await cache.get('key1'), 'value1');
+      await cache.set('key3', 'value3');
+
+      assert.strictEqual(await cache.get('key2'), null);
+      assert.strictEqual(store.items.has('test_key2'), false);
+      assert.deepStrictEqual(JSON.parse(store.items.get('test_keys')), ['key1', 'key3']);
+    });
+
+    it('should load the key list of an existing store', async () => {
+      const store = createAsyncStore();
+      const first = new LRUCache('test_', 3600000, 10, store);
+      first.set('key1', 'value1');
+      first.set('key2', 'value2');
+      await first.get('key2');
+
+      const second = new LRUCache('test_', 3600000, 10, store);
+      assert.strictEqual(await second.get('key1'), 'value1');
+      assert.deepStrictEqual(second.keys, ['key2', 'key1']);
+
+      await second.clear();
+      assert.deepStrictEqual([...store.items.keys()], []);
+    });
+
+    it('should log and swallow store failures', async () => {
+      const cache = new LRUCache('test_', 3600000, 10, {
+        getItem: async () => {
+          throw new Error('connection lost');
+        },
+        setItem: async () => {},
+        removeItem: async () => {},
+      });
+      const warn = console.warn;
+      console.warn = () => {};
+      try {
+        assert.strictEqual(await cache.get('key1'), null);
+      } finally {
+        console.warn = warn;
+      }
+    });
+  });
+
+  describe('createFileStore()', () => {
+    it('should persist values across cache instances', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'yt-search-test-'));
+      try {
+        const cache = new LRUCache('test_', 3600000, 10, createFileStore({ directory }));
+        await cache.set('query with / and spaces', { results: [1, 2] });
+
+        const reopened = new LRUCache('test_', 3600000, 10, createFileStore({ directory }));
+        assert.deepStrictEqual(await reopened.get('query with / and spaces'), { results: [1, 2] });
+
+        await reopened.remove('query with / and spaces');
+        assert.strictEqual(await reopened.get('query with / and spaces'), null);
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
+
 // ============================================
 // Transport Tests
 // ============================================
@@ -213,117 +644,648 @@ describe('Transport', () => {
     });
   });
 
-  describe('post()', () => {
-    it('should throw error for empty query', async () => {
-      const client = new YouTubeClient({ useCache: false });
-      await assert.rejects(
-        async () => {
-          await client.search('');
-        },
-        (err) => err.message === 'Query is required' && err instanceof Error
+  describe('retries', () => {
+    /**
+     * A fetch answering with the given responses in turn; an Error is thrown instead.
+     * @param {Array<Object|Error>} responses
+     */
+    const sequence = (responses) => {
+      const fetch = async (url, init) => {
+        fetch.calls.push({ url, init });
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return {
+          ok: next.status < 400,
+          status: next.status,
+          statusText: '',
+          headers: new Headers(next.headers),
+          json: async () => next.body,
+          text: async () => '',
+        };
+      };
+      fetch.calls = [];
+      return fetch;
+    };
+
+    it('should retry transient statuses and network errors', async () => {
+      const fetch = sequence([
+        { status: 503 },
+        new TypeError('fetch failed'),
+        { status: 200, body: { ok: 1 } },
+      ]);
+      const events = [];
+      const transport = new Transport({
+        fetch,
+        retry: { baseDelay: 0 },
+        onRetry: (event) => events.push(event),
+      });
+
+      assert.deepStrictEqual(await transport.post('https://example.com/api', {}), { ok: 1 });
+      assert.strictEqual(fetch.calls.length, 3);
+      assert.deepStrictEqual(
+        events.map(({ attempt, status, error }) => [attempt, status, error?.code ?? null]),
+        [
+          [1, 503, null],
+          [2, null, 'ERR_NETWORK'],
+        ]
       );
+      assert.strictEqual(events[1].error.cause.message, 'fetch failed');
+      assert.strictEqual(events[0].url, 'https://example.com/api');
     });
 
-    it('should throw error for null query', async () => {
-      const client = new YouTubeClient({ useCache: false });
-      await assert.rejects(
-        async () => {
-          await client.search(null);
-        },
-        (err) => err.message === 'Query is required' && err instanceof Error
+    it('should give up after maxAttempts', async () => {
+      const fetch = sequence([{ status: 429 }, { status: 429 }, { status: 429 }]);
+      const transport = new Transport({ fetch, retry: { maxAttempts: 2, baseDelay: 0 } });
+
+      await assert.rejects(() => transport.post('https://example.com/api', {}), /429/);
+      assert.strictEqual(fetch.calls.length, 2);
+    });
+
+    it('should not retry other statuses or when disabled', async () => {
+      const fetch = sequence([{ status: 400 }, { status: 503 }]);
+      await assert.rejects(() => new Transport({ fetch }).post('https://example.com/api', {}));
+      await assert.rejects(() =>
+        new Transport({ fetch, retry: false }).post('https://example.com/api', {})
       );
+      assert.strictEqual(fetch.calls.length, 2);
     });
 
-    it('should throw error for undefined query', async () => {
-      const client = new YouTubeClient({ useCache: false });
+    it('should wait as long as Retry-After asks, up to maxDelay', async () => {
+      const fetch = sequence([
+        { status: 429, headers: { 'Retry-After': '0' } },
+        { status: 200, body: {} },
+        { status: 503, headers: { 'Retry-After': '120' } },
+      ]);
+      const events = [];
+      const transport = new Transport({
+        fetch,
+        retry: { baseDelay: 10000 },
+        onRetry: (event) => events.push(event),
+      });
+
+      await transport.post('https://example.com/api', {});
+      assert.strictEqual(events[0].delay, 0);
+      await assert.rejects(() => transport.post('https://example.com/api', {}), /503/);
+      assert.strictEqual(fetch.calls.length, 3);
+    });
+
+    it('should stop waiting when the request is aborted', async () => {
+      const controller = new AbortController();
+      const fetch = sequence([{ status: 503 }, { status: 200 }]);
+      const transport = new Transport({
+        fetch,
+        retry: { baseDelay: 60000, maxDelay: 60000 },
+        onRetry: () => controller.abort(),
+      });
+
       await assert.rejects(
-        async () => {
-          await client.search(undefined);
-        },
-        (err) => err.message === 'Query is required' && err instanceof Error
+        () => transport.get('https://example.com/api', { signal: controller.signal }),
+        (err) => err.name === 'AbortError'
       );
+      assert.strictEqual(fetch.calls.length, 1);
+    });
+
+    it('should parse Retry-After seconds and dates', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+      assert.strictEqual(parseRetryAfter('5', now), 5000);
+      assert.strictEqual(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30000);
+      assert.strictEqual(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT', now), 0);
+      assert.strictEqual(parseRetryAfter('soon', now), null);
+      assert.strictEqual(parseRetryAfter(null, now), null);
+    });
+
+    it('should dispatch retry events from the client', async () => {
+      const fetch = sequence([{ status: 502 }, { status: 200, body: {} }]);
+      const client = new YouTubeClient({ useCache: false, fetch, retry: { baseDelay: 0 } });
+      const events = [];
+      client.addEventListener('retry', (event) => events.push(event.detail));
+
+      await client.search('test');
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].status, 502);
     });
   });
-});
 
-// ============================================
-// Parser Tests
-// ============================================
+  describe('errors', () => {
+    const respond =
+      (status, headers = {}) =>
+      async () => ({
+        ok: false,
+        status,
+        statusText: 'Error',
+        headers: new Headers(headers),
+        text: async () => 'details',
+      });
 
-describe('Parser', () => {
-  describe('parseSearchResults()', () => {
-    it('should return empty array for null response', () => {
-      const result = parseSearchResults(null);
-      assert.deepStrictEqual(result, []);
+    it('should throw an HttpError with the response', async () => {
+      const transport = new Transport({ fetch: respond(404, { 'X-Request-Id': 'abc' }) });
+      await assert.rejects(
+        () => transport.post('https://example.com/api', {}),
+        (err) =>
+          err instanceof HttpError &&
+          !(err instanceof RateLimitError) &&
+          err.code === 'ERR_HTTP' &&
+          err.status === 404 &&
+          err.body === 'details' &&
+          err.headers['x-request-id'] === 'abc' &&
+          err.url === 'https://example.com/api'
+      );
     });
 
-    it('should return empty array for undefined response', () => {
-      const result = parseSearchResults(undefined);
-      assert.deepStrictEqual(result, []);
+    it('should throw a RateLimitError with retryAfter', async () => {
+      const transport = new Transport({
+        fetch: respond(429, { 'Retry-After': '120' }),
+        retry: { maxDelay: 1000 },
+      });
+      await assert.rejects(
+        () => transport.post('https://example.com/api', {}),
+        (err) =>
+          err instanceof RateLimitError &&
+          err instanceof HttpError &&
+          err.code === 'ERR_RATE_LIMITED' &&
+          err.status === 429 &&
+          err.retryAfter === 120000
+      );
     });
 
-    it('should return empty array for empty contents', () => {
-      const result = parseSearchResults({});
-      assert.deepStrictEqual(result, []);
+    it('should throw a NetworkError, or a ProxyError through a proxy', async () => {
+      const fetch = async () => {
+        throw new TypeError('Failed to fetch');
+      };
+      await assert.rejects(
+        () => new Transport({ fetch, retry: false }).post('https://example.com/api', {}),
+        (err) =>
+          err instanceof NetworkError &&
+          !(err instanceof ProxyError) &&
+          err.code === 'ERR_NETWORK' &&
+          err.cause.message === 'Failed to fetch'
+      );
+      await assert.rejects(
+        () =>
+          new Transport({ fetch, retry: false, proxyUrl: 'https://proxy.example.com/' }).post(
+            'https://example.com/api',
+            {}
+          ),
+        (err) =>
+          err instanceof ProxyError &&
+          err instanceof NetworkError &&
+          err.code === 'ERR_PROXY' &&
+          err.proxyUrl === 'https://proxy.example.com/'
+      );
     });
 
-    it('should return empty array when contents structure is missing', () => {
-      const response = { contents: {} };
-      const result = parseSearchResults(response);
-      assert.deepStrictEqual(result, []);
+    it('should throw an AbortError or TimeoutError when cancelled', async () => {
+      const fetch = (_url, init) =>
+        new Promise((_resolve, reject) =>
+          init.signal.addEventListener('abort', () => reject(init.signal.reason))
+        );
+      const transport = new Transport({ fetch });
+
+      await assert.rejects(
+        () => transport.get('https://example.com/api', { signal: AbortSignal.abort() }),
+        (err) => err instanceof AbortError && err.code === 'ERR_ABORTED'
+      );
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new DOMException('Timed out', 'TimeoutError')), 10);
+      await assert.rejects(
+        () => transport.get('https://example.com/api', { signal: controller.signal }),
+        (err) => err instanceof TimeoutError && err.code === 'ERR_TIMEOUT'
+      );
     });
 
-    it('should parse video renderer correctly', () => {
-      const response = {
-        contents: {
-          twoColumnSearchResultsRenderer: {
-            primaryContents: {
-              sectionListRenderer: {
-                contents: [
-                  {
-                    itemSectionRenderer: {
-                      contents: [
-                        {
-                          videoRenderer: {
-                            videoId: 'abc123',
-                            title: { simpleText: 'Test Video' },
-                            thumbnail: {
-                              thumbnails: [
-                                { url: 'https://example.com/thumb.jpg', width: 320, height: 180 },
-                              ],
-                            },
-                            ownerText: { simpleText: 'Test Channel' },
-                            lengthText: { simpleText: '10:00' },
-                            publishedTimeText: { simpleText: '2 days ago' },
-                            viewCountText: { simpleText: '1M views' },
-                            badges: [{ metadataBadgeRenderer: { label: 'NEW' } }],
-                          },
-                        },
-                      ],
-                    },
-                  },
-                ],
-              },
-            },
-          },
-        },
-      };
+    it('should recognize errors from another realm or library copy', () => {
+      const foreign = Object.assign(new Error('Too many requests'), { name: 'RateLimitError' });
+      Object.defineProperty(foreign, Symbol.for('yt-search-lib.errorCodes'), {
+        value: ['ERR_RATE_LIMITED', 'ERR_HTTP', 'ERR_YOUTUBE'],
+      });
 
-      const results = parseSearchResults(response);
-      assert.strictEqual(results.length, 1);
-      assert.strictEqual(results[0].type, 'video');
-      assert.strictEqual(results[0].id, 'abc123');
-      assert.strictEqual(results[0].title, 'Test Video');
-      assert.strictEqual(results[0].link, 'https://www.youtube.com/watch?v=abc123');
-      assert.strictEqual(results[0].author, 'Test Channel');
-      assert.strictEqual(results[0].duration, '10:00');
-      assert.strictEqual(results[0].publishedAt, '2 days ago');
-      assert.strictEqual(results[0].viewCount, '1M views');
-      assert.deepStrictEqual(results[0].badges, ['NEW']);
+      assert.ok(foreign instanceof RateLimitError);
+      assert.ok(foreign instanceof HttpError);
+      assert.ok(foreign instanceof YouTubeError);
+      assert.ok(!(foreign instanceof NetworkError));
+      assert.ok(!(new Error('plain') instanceof YouTubeError));
+      assert.ok(new ParseError('bad', null) instanceof YouTubeError);
     });
+  });
 
-    it('should parse channel renderer correctly', () => {
-      const response = {
+  describe('proxies', () => {
+    /**
+     * A fetch answering through each proxy with the given status, or a network error for 0.
+     * @param {Object<string, number>} statuses - Status by proxy prefix; '' for direct requests.
+     */
+    const proxyFetch = (statuses) => {
+      const fetch = async (url) => {
+        fetch.calls.push(url);
+        const prefix = Object.keys(statuses).find((p) => p && url.startsWith(p)) ?? '';
+        const status = statuses[prefix];
+        if (!status) throw new TypeError('fetch failed');
+        return {
+          ok: status < 400,
+          status,
+          statusText: '',
+          headers: new Headers(),
+          json: async () => ({ via: prefix }),
+          text: async () => '',
+        };
+      };
+      fetch.calls = [];
+      return fetch;
+    };
+    const A = 'https://a.example.com/?url=';
+    const B = 'https://b.example.com/?url=';
+
+    it('should fail over to the next proxy without waiting', async () => {
+      const fetch = proxyFetch({ [A]: 0, [B]: 200 });
+      const retries = [];
+      const requests = [];
+      const transport = new Transport({
+        fetch,
+        proxyUrl: [A, B],
+        retry: false,
+        onRetry: (event) => retries.push(event),
+        onRequest: (event) => requests.push(event),
+      });
+
+      assert.deepStrictEqual(await transport.post('https://example.com/api', {}), { via: B });
+      assert.deepStrictEqual(fetch.calls, [
+        `${A}https://example.com/api`,
+        `${B}https://example.com/api`,
+      ]);
+      assert.strictEqual(retries[0].proxy, A);
+      assert.strictEqual(retries[0].delay, 0);
+      assert.strictEqual(retries[0].error.code, 'ERR_PROXY');
+      assert.strictEqual(requests[0].proxy, B);
+      assert.strictEqual(requests[0].status, 200);
+      assert.deepStrictEqual(requests[0].failed, [A]);
+    });
+
+    it('should fail over when a proxy answers with a body that is not JSON', async () => {
+      const html = {
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: async () => JSON.parse('<!DOCTYPE html>'),
+      };
+      const fetch = async (url) =>
+        url.startsWith(A)
+          ? html
+          : { ok: true, status: 200, headers: new Headers(), json: async () => ({ ok: 1 }) };
+      const retries = [];
+      const transport = new Transport({
+        fetch,
+        proxyUrl: [A, B],
+        retry: false,
+        onRetry: (event) => retries.push(event),
+      });
+
+      assert.deepStrictEqual(await transport.post('https://example.com/api', {}), { ok: 1 });
+      assert.ok(retries[0].error instanceof ProxyError);
+      assert.ok(retries[0].error.cause instanceof SyntaxError);
+      assert.strictEqual(transport.proxies.routes[0].failures, 1);
+
+      const client = new YouTubeClient({ useCache: false, retry: false, fetch: async () => html });
+      await assert.rejects(
+        () => client.search('test'),
+        (err) =>
+          err instanceof ParseError &&
+          err.code === 'ERR_PARSE' &&
+          err.cause instanceof SyntaxError &&
+          err.diagnostics.errors.length === 1
+      );
+    });
+
+    it('should keep the order with failover and rotate with round-robin', async () => {
+      const failover = proxyFetch({ [A]: 200, [B]: 200 });
+      const transport = new Transport({ fetch: failover, proxyUrl: [A, B] });
+      await transport.get('x');
+      await transport.get('x');
+      assert.deepStrictEqual(failover.calls, [`${A}x`, `${A}x`]);
+
+      const roundRobin = proxyFetch({ [A]: 200, [B]: 200 });
+      const rotating = new Transport({
+        fetch: roundRobin,
+        proxyUrl: { proxies: [A, B], strategy: 'round-robin' },
+      });
+      await rotating.get('x');
+      await rotating.get('x');
+      await rotating.get('x');
+      assert.deepStrictEqual(roundRobin.calls, [`${A}x`, `${B}x`, `${A}x`]);
+    });
+
+    it('should pick proxies by weight', async () => {
+      const fetch = proxyFetch({ [A]: 200, [B]: 200 });
+      const transport = new Transport({
+        fetch,
+        proxyUrl: {
+          proxies: [
+            { url: A, weight: 0 },
+            { url: B, weight: 3 },
+          ],
+          strategy: 'weighted',
+        },
+      });
+      for (let i = 0; i < 5; i++) await transport.get('x');
+      assert.ok(fetch.calls.every((url) => url.startsWith(B)));
+    });
+
+    it('should reject unknown strategies', () => {
+      assert.throws(
+        () => new ProxyPool({ proxies: [A], strategy: 'random' }),
+        /Unknown proxy strategy/
+      );
+    });
+
+    it('should cool a proxy down after maxFailures failures or a 429', () => {
+      let now = 0;
+      const pool = new ProxyPool(
+        { proxies: [A, B], maxFailures: 2, cooldown: 1000, direct: false },
+        { clock: () => now }
+      );
+      const [a, b] = pool.routes;
+
+      pool.failure(a);
+      assert.strictEqual(pool.select(), a);
+      pool.failure(a);
+      assert.strictEqual(pool.select(), b);
+      now = 1000;
+      assert.strictEqual(pool.select(), a);
+
+      pool.failure(a, { rateLimited: true, retryAfter: 5000 });
+      pool.failure(b, { rateLimited: true });
+      assert.strictEqual(pool.select(), b, 'falls back to the proxy that recovers soonest');
+      assert.strictEqual(pool.select(new Set([b])), null);
+      now = 6000;
+      assert.strictEqual(pool.select(), a);
+    });
+
+    it('should reset failures and average latency on a response', () => {
+      const pool = new ProxyPool([A]);
+      const [a] = pool.routes;
+      pool.failure(a);
+      pool.success(a, 100);
+      pool.success(a, 200);
+      assert.strictEqual(a.failures, 0);
+      assert.strictEqual(a.latency, 130);
+      assert.deepStrictEqual(
+        pool.health().map(({ url }) => url),
+        [A, null]
+      );
+    });
+
+    it('should fall back to a direct request only where enabled', async () => {
+      const fetch = proxyFetch({ [A]: 503, [B]: 0, '': 200 });
+      const direct = new Transport({ fetch, proxyUrl: [A, B], retry: false });
+      assert.deepStrictEqual(await direct.get('https://example.com/api'), '');
+      assert.deepStrictEqual(fetch.calls.at(-1), 'https://example.com/api');
+
+      const browser = new Transport({
+        fetch,
+        proxyUrl: { proxies: [A, B], direct: false },
+        retry: false,
+      });
+      await assert.rejects(
+        () => browser.get('https://example.com/api'),
+        (err) => err instanceof ProxyError && err.proxyUrl === B
+      );
+      const single = new Transport({ fetch, proxyUrl: B, retry: false });
+      await assert.rejects(() => single.get('https://example.com/api'), ProxyError);
+    });
+
+    it('should pass the target URL as each proxy mode expects', () => {
+      const target = 'https://www.youtube.com/youtubei/v1/search?key=abc&prettyPrint=false';
+      const encoded = encodeURIComponent(target);
+      const format = (endpoint) => formatProxyUrl(new ProxyPool([endpoint]).routes[0], target);
+
+      assert.strictEqual(format('https://p.example.com/'), `https://p.example.com/${target}`);
+      assert.strictEqual(
+        format({ url: 'https://p.example.com/proxy', mode: 'query' }),
+        `https://p.example.com/proxy?url=${encoded}`
+      );
+      assert.strictEqual(
+        format({ url: 'https://p.example.com/proxy?url=', mode: 'query' }),
+        `https://p.example.com/proxy?url=${encoded}`
+      );
+      assert.strictEqual(
+        format({ url: 'https://p.example.com/get?token=t', mode: 'query', param: 'target' }),
+        `https://p.example.com/get?token=t&target=${encoded}`
+      );
+      assert.strictEqual(
+        format({ url: 'https://p.example.com/proxy', mode: 'path' }),
+        `https://p.example.com/proxy/${encoded}`
+      );
+      assert.strictEqual(
+        format('https://p.example.com/fetch?u={url}&cache=0'),
+        `https://p.example.com/fetch?u=${encoded}&cache=0`
+      );
+      assert.strictEqual(
+        format((url) => `https://p.example.com/${btoa(url)}`),
+        `https://p.example.com/${btoa(target)}`
+      );
+      assert.strictEqual(formatProxyUrl(new ProxyPool().direct, target), target);
+      assert.throws(() => new ProxyPool({ url: A, mode: 'suffix' }), /Unknown proxy mode/);
+    });
+
+    it('should send the headers of each proxy only through that proxy', async () => {
+      const calls = [];
+      const fetch = async (url, init) => {
+        calls.push({ url, headers: init.headers });
+        if (url.startsWith(A)) throw new TypeError('fetch failed');
+        return { ok: true, status: 200, headers: new Headers(), json: async () => ({}) };
+      };
+      const transport = new Transport({
+        fetch,
+        headers: { 'X-Client': 'lib' },
+        proxyUrl: {
+          proxies: [{ url: A, headers: { Authorization: 'Bearer secret' } }],
+          direct: true,
+        },
+      });
+
+      await transport.post('https://example.com/api', {});
+      assert.strictEqual(calls[0].headers.Authorization, 'Bearer secret');
+      assert.strictEqual(calls[0].headers['X-Client'], 'lib');
+      assert.strictEqual(calls[1].url, 'https://example.com/api');
+      assert.strictEqual(calls[1].headers.Authorization, undefined);
+    });
+
+    it('should keep the query of suggestion URLs intact in query mode', async () => {
+      const urls = [];
+      const client = new YouTubeClient({
+        useCache: false,
+        proxyUrl: { url: 'http://127.0.0.1:3000/proxy', mode: 'query' },
+        fetch: async (url) => {
+          urls.push(url);
+          return { ok: true, status: 200, text: async () => '["a",["ab"]]' };
+        },
+      });
+
+      await client.suggest('a b');
+      const target = new URL(new URL(urls[0]).searchParams.get('url'));
+      assert.strictEqual(target.searchParams.get('q'), 'a b');
+      assert.ok(target.searchParams.has('ds'));
+    });
+
+    it('should not let a throwing callback change the outcome of a request', async () => {
+      const reported = [];
+      const queueMicrotask = globalThis.queueMicrotask;
+      globalThis.queueMicrotask = (task) => {
+        try {
+          task();
+        } catch (error) {
+          reported.push(error.message);
+        }
+      };
+      try {
+        const fetch = proxyFetch({ [A]: 0, [B]: 200 });
+        const transport = new Transport({
+          fetch,
+          proxyUrl: [A, B],
+          onRetry: () => {
+            throw new Error('retry listener bug');
+          },
+          onRequest: () => {
+            throw new Error('request listener bug');
+          },
+        });
+
+        assert.deepStrictEqual(await transport.post('https://example.com/api', {}), { via: B });
+        assert.strictEqual(fetch.calls.length, 2);
+        assert.strictEqual(transport.proxies.routes[1].failures, 0);
+        assert.deepStrictEqual(reported, ['retry listener bug', 'request listener bug']);
+      } finally {
+        globalThis.queueMicrotask = queueMicrotask;
+      }
+    });
+
+    it('should report proxy health and dispatch request events from the client', async () => {
+      const client = new YouTubeClient({
+        useCache: false,
+        proxyUrl: [A, B],
+        fetch: proxyFetch({ [A]: 0, [B]: 200 }),
+      });
+      const events = [];
+      client.addEventListener('request', (event) => events.push(event.detail));
+
+      await client.search('test');
+      assert.strictEqual(events[0].proxy, B);
+      const [a, b] = client.getProxyHealth();
+      assert.strictEqual(a.failures, 1);
+      assert.strictEqual(b.failures, 0);
+      assert.strictEqual(typeof b.latency, 'number');
+    });
+  });
+
+  describe('post()', () => {
+    it('should throw error for empty query', async () => {
+      const client = new YouTubeClient({ useCache: false });
+      await assert.rejects(
+        async () => {
+          await client.search('');
+        },
+        (err) => err.message === 'Query is required' && err instanceof Error
+      );
+    });
+
+    it('should throw error for null query', async () => {
+      const client = new YouTubeClient({ useCache: false });
+      await assert.rejects(
+        async () => {
+          await client.search(null);
+        },
+        (err) => err.message === 'Query is required' && err instanceof Error
+      );
+    });
+
+    it('should throw error for undefined query', async () => {
+      const client = new YouTubeClient({ useCache: false });
+      await assert.rejects(
+        async () => {
+          await client.search(undefined);
+        },
+        (err) => err.message === 'Query is required' && err instanceof Error
+      );
+    });
+  });
+});
+
+// ============================================
+// Parser Tests
+// ============================================
+
+describe('Parser', () => {
+  describe('parseSearchResults()', () => {
+    it('should return empty array for null response', () => {
+      const result = parseSearchResults(null);
+      assert.deepStrictEqual(result, []);
+    });
+
+    it('should return empty array for undefined response', () => {
+      const result = parseSearchResults(undefined);
+      assert.deepStrictEqual(result, []);
+    });
+
+    it('should return empty array for empty contents', () => {
+      const result = parseSearchResults({});
+      assert.deepStrictEqual(result, []);
+    });
+
+    it('should return empty array when contents structure is missing', () => {
+      const response = { contents: {} };
+      const result = parseSearchResults(response);
+      assert.deepStrictEqual(result, []);
+    });
+
+    it('should parse video renderer correctly', () => {
+      const response = {
+        contents: {
+          twoColumnSearchResultsRenderer: {
+            primaryContents: {
+              sectionListRenderer: {
+                contents: [
+                  {
+                    itemSectionRenderer: {
+                      contents: [
+                        {
+                          videoRenderer: {
+                            videoId: 'abc123',
+                            title: { simpleText: 'Test Video' },
+                            thumbnail: {
+                              thumbnails: [
+                                { url: 'https://example.com/thumb.jpg', width: 320, height: 180 },
+                              ],
+                            },
+                            ownerText: { simpleText: 'Test Channel' },
+                            lengthText: { simpleText: '10:00' },
+                            publishedTimeText: { simpleText: '2 days ago' },
+                            viewCountText: { simpleText: '1M views' },
+                            badges: [{ metadataBadgeRenderer: { label: 'NEW' } }],
+                          },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      };
+
+      const results = parseSearchResults(response);
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].type, 'video');
+      assert.strictEqual(results[0].id, 'abc123');
+      assert.strictEqual(results[0].title, 'Test Video');
+      assert.strictEqual(results[0].link, 'https://www.youtube.com/watch?v=abc123');
+      assert.strictEqual(results[0].author, 'Test Channel');
+      assert.strictEqual(results[0].duration, '10:00');
+      assert.strictEqual(results[0].publishedAt, '2 days ago');
+      assert.strictEqual(results[0].viewCount, '1M views');
+      assert.deepStrictEqual(results[0].badges, ['NEW']);
+    });
+
+    it('should parse channel renderer correctly', () => {
+      const response = {
         contents: {
           twoColumnSearchResultsRenderer: {
             primaryContents: {
@@ -521,43 +1483,2131 @@ describe('Parser', () => {
       assert.deepStrictEqual(results, []);
     });
   });
-});
 
-// ============================================
-// YouTubeClient Tests
-// ============================================
+  describe('parseSearchResults() shelves and other renderers', () => {
+    const searchResponse = (items) => ({
+      contents: {
+        twoColumnSearchResultsRenderer: {
+          primaryContents: {
+            sectionListRenderer: { contents: [{ itemSectionRenderer: { contents: items } }] },
+          },
+        },
+      },
+    });
 
-describe('YouTubeClient', () => {
-  describe('Constructor', () => {
-    it('should initialize with default options', () => {
-      const client = new YouTubeClient();
-      assert.ok(client.transport instanceof Transport);
-      assert.ok(client.cache instanceof LRUCache);
-      assert.strictEqual(client.apiKey.length > 0, true);
+    it('should flatten shelves and label their items', () => {
+      const { results } = parseSearchResults(
+        searchResponse([
+          {
+            reelShelfRenderer: {
+              title: { simpleText: 'Shorts' },
+              items: [{ reelItemRenderer: { videoId: 's1', headline: { simpleText: 'Short' } } }],
+            },
+          },
+          {
+            shelfRenderer: {
+              title: { simpleText: 'Latest from Lofi Girl' },
+              content: {
+                verticalListRenderer: {
+                  items: [{ videoRenderer: { videoId: 'v1', title: { simpleText: 'Video' } } }],
+                },
+              },
+            },
+          },
+          {
+            horizontalCardListRenderer: {
+              header: { richListHeaderRenderer: { title: { simpleText: 'People also watched' } } },
+              cards: [{ videoRenderer: { videoId: 'v2', title: { simpleText: 'Other' } } }],
+            },
+          },
+        ])
+      );
+
+      assert.deepStrictEqual(
+        results.map((r) => [r.type, r.id, r.shelf]),
+        [
+          ['short', 's1', 'Shorts'],
+          ['video', 'v1', 'Latest from Lofi Girl'],
+          ['video', 'v2', 'People also watched'],
+        ]
+      );
+      assert.strictEqual(results[0].link, 'https://www.youtube.com/shorts/s1');
     });
 
-    it('should disable cache when useCache is false', () => {
-      const client = new YouTubeClient({ useCache: false });
-      assert.strictEqual(client.cache, null);
+    it('should parse mixes and movies', () => {
+      const { results } = parseSearchResults(
+        searchResponse([
+          {
+            radioRenderer: {
+              playlistId: 'RDabc',
+              title: { simpleText: 'Mix - Lofi' },
+              videoCountText: { runs: [{ text: '50+ videos' }] },
+              navigationEndpoint: { watchEndpoint: { videoId: 'abc', playlistId: 'RDabc' } },
+            },
+          },
+          {
+            movieRenderer: {
+              videoId: 'm1',
+              title: { runs: [{ text: 'A Movie' }] },
+              lengthText: { simpleText: '1:45:00' },
+              bottomMetadataItems: [{ simpleText: 'Drama' }, { simpleText: '2019' }],
+            },
+          },
+        ])
+      );
+
+      assert.strictEqual(results[0].type, 'mix');
+      assert.strictEqual(results[0].link, 'https://www.youtube.com/watch?v=abc&list=RDabc');
+      assert.strictEqual(results[0].videoCount, '50+ videos');
+      assert.strictEqual(results[1].type, 'movie');
+      assert.strictEqual(results[1].duration, '1:45:00');
+      assert.deepStrictEqual(results[1].metadata, ['Drama', '2019']);
     });
 
-    it('should use custom proxyUrl', () => {
-      const client = new YouTubeClient({ proxyUrl: 'https://proxy.example.com/' });
-      assert.strictEqual(client.transport.proxyUrl, 'https://proxy.example.com/');
+    it('should derive live, upcoming and format flags from renderer styles', () => {
+      const { results } = parseSearchResults(
+        searchResponse([
+          {
+            videoRenderer: {
+              videoId: 'live',
+              viewCountText: { runs: [{ text: '1,234' }, { text: ' watching' }] },
+              badges: [
+                { metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_LIVE_NOW', label: 'LIVE' } },
+              ],
+              thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { style: 'LIVE' } }],
+            },
+          },
+          {
+            videoRenderer: {
+              videoId: 'upcoming',
+              upcomingEventData: { startTime: '1710504000' },
+              thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { style: 'UPCOMING' } }],
+            },
+          },
+          {
+            videoRenderer: {
+              videoId: 'members',
+              publishedTimeText: { simpleText: 'Streamed 2 days ago' },
+              badges: [
+                {
+                  metadataBadgeRenderer: {
+                    style: 'BADGE_STYLE_TYPE_MEMBERS_ONLY',
+                    label: 'Members only',
+                  },
+                },
+                { metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_SIMPLE', label: '4K' } },
+                { metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_SIMPLE', label: 'CC' } },
+              ],
+            },
+          },
+          {
+            videoRenderer: {
+              videoId: 'short',
+              thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { style: 'SHORTS' } }],
+            },
+          },
+        ])
+      );
+      const [live, upcoming, members, short] = results;
+
+      assert.strictEqual(live.isLive, true);
+      assert.strictEqual(live.concurrentViewers, 1234);
+      assert.strictEqual(live.wasLive, false);
+      assert.strictEqual(upcoming.isLive, false);
+      assert.strictEqual(upcoming.isUpcoming, true);
+      assert.strictEqual(upcoming.scheduledStartTime, '2024-03-15T12:00:00.000Z');
+      assert.strictEqual(upcoming.concurrentViewers, null);
+      assert.strictEqual(members.wasLive, true);
+      assert.strictEqual(members.isMembersOnly, true);
+      assert.strictEqual(members.is4K, true);
+      assert.strictEqual(members.hasCaptions, true);
+      assert.strictEqual(members.isShort, false);
+      assert.strictEqual(short.isShort, true);
     });
 
-    it('should merge custom clientContext', () => {
-      const client = new YouTubeClient({
-        clientContext: { clientName: 'ANDROID', clientVersion: '1.0' },
+    it('should link results to their channel', () => {
+      const byline = (text, browseId, canonicalBaseUrl) => ({
+        runs: [{ text, navigationEndpoint: { browseEndpoint: { browseId, canonicalBaseUrl } } }],
       });
-      assert.strictEqual(client.context.clientName, 'ANDROID');
-      assert.strictEqual(client.context.clientVersion, '1.0');
-      // Other defaults should be preserved
-      assert.strictEqual(client.context.hl, 'en');
-    });
-  });
+      const { results } = parseSearchResults(
+        searchResponse([
+          {
+            videoRenderer: {
+              videoId: 'v1',
+              ownerText: byline('Lofi Girl', 'UCSJ4gkVC6NrvII8umztf0Ow', '/@LofiGirl'),
+              ownerBadges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_VERIFIED' } }],
+              channelThumbnailSupportedRenderers: {
+                channelThumbnailWithLinkRenderer: {
+                  thumbnail: { thumbnails: [{ url: 'https://example.com/avatar.jpg' }] },
+                },
+              },
+            },
+          },
+          {
+            playlistRenderer: {
+              playlistId: 'PL1',
+              longBylineText: byline('Artist', 'UCartist', '/channel/UCartist'),
+              ownerBadges: [
+                { metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_VERIFIED_ARTIST' } },
+              ],
+            },
+          },
+          { channelRenderer: { channelId: 'UCchannel' } },
+          { videoRenderer: { videoId: 'v2', ownerText: { runs: [{ text: 'No link' }] } } },
+        ])
+      );
+      const [video, playlist, channel, unlinked] = results;
+
+      assert.deepStrictEqual(video.channel, {
+        id: 'UCSJ4gkVC6NrvII8umztf0Ow',
+        handle: '@LofiGirl',
+        url: 'https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow',
+        title: 'Lofi Girl',
+        thumbnails: [{ url: 'https://example.com/avatar.jpg' }],
+        verified: true,
+        isArtist: false,
+      });
+      assert.strictEqual(playlist.link, 'https://www.youtube.com/playlist?list=PL1');
+      assert.strictEqual(playlist.channel.id, 'UCartist');
+      assert.strictEqual(playlist.channel.handle, '');
+      assert.strictEqual(playlist.channel.verified, true);
+      assert.strictEqual(playlist.channel.isArtist, true);
+      assert.strictEqual(channel.link, 'https://www.youtube.com/channel/UCchannel');
+      assert.strictEqual(unlinked.channel, null);
+    });
+
+    it('should detect finished streams in other locales', () => {
+      const { results } = parseSearchResults(
+        searchResponse([
+          {
+            videoRenderer: {
+              videoId: 'v1',
+              publishedTimeText: { simpleText: 'Live übertragen vor 2 Tagen' },
+            },
+          },
+        ]),
+        { hl: 'de' }
+      );
+      assert.strictEqual(results[0].wasLive, true);
+    });
+
+    it('should parse lockup view models, including mixes', () => {
+      const lockup = (contentId, contentType) => ({
+        lockupViewModel: {
+          contentId,
+          contentType,
+          metadata: { lockupMetadataViewModel: { title: { content: contentId } } },
+        },
+      });
+      const { results } = parseSearchResults(
+        searchResponse([
+          lockup('v1', 'LOCKUP_CONTENT_TYPE_VIDEO'),
+          lockup('PL1', 'LOCKUP_CONTENT_TYPE_PLAYLIST'),
+          lockup('RDv1', 'LOCKUP_CONTENT_TYPE_PLAYLIST'),
+        ])
+      );
+      assert.deepStrictEqual(
+        results.map((r) => r.type),
+        ['video', 'playlist', 'mix']
+      );
+    });
+  });
+});
+
+// ============================================
+// Search Filter Tests
+// ============================================
+
+const detailedSearchResponse = {
+  estimatedResults: '123456',
+  refinements: ['lofi hip hop', 'lofi girl'],
+  header: {
+    searchHeaderRenderer: {
+      chipBar: {
+        chipCloudRenderer: {
+          chips: [
+            { chipCloudChipRenderer: { text: { simpleText: 'All' }, isSelected: true } },
+            {
+              chipCloudChipRenderer: {
+                text: { simpleText: 'Shorts' },
+                navigationEndpoint: { searchEndpoint: { query: 'lofy' } },
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+  contents: {
+    twoColumnSearchResultsRenderer: {
+      primaryContents: {
+        sectionListRenderer: {
+          contents: [
+            {
+              itemSectionRenderer: {
+                contents: [
+                  {
+                    showingResultsForRenderer: {
+                      correctedQuery: { runs: [{ text: 'lofi' }] },
+                      originalQuery: { simpleText: 'lofy' },
+                    },
+                  },
+                  { videoRenderer: { videoId: 'v1', title: { simpleText: 'Lofi' } } },
+                  {
+                    horizontalCardListRenderer: {
+                      header: {
+                        richListHeaderRenderer: {
+                          title: { simpleText: 'Searches related to lofi' },
+                        },
+                      },
+                      cards: [
+                        {
+                          searchRefinementCardRenderer: {
+                            query: { runs: [{ text: 'lofi ' }, { text: 'jazz' }] },
+                          },
+                        },
+                        {
+                          searchRefinementCardRenderer: {
+                            query: { runs: [{ text: 'lofi girl' }] },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+            {
+              continuationItemRenderer: {
+                continuationEndpoint: { continuationCommand: { token: 'next-page' } },
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+};
+
+describe('Parse diagnostics', () => {
+  const searchResponse = (items) => ({
+    contents: {
+      twoColumnSearchResultsRenderer: {
+        primaryContents: {
+          sectionListRenderer: { contents: [{ itemSectionRenderer: { contents: items } }] },
+        },
+      },
+    },
+  });
+
+  const items = [
+    { videoRenderer: { videoId: 'v1', title: { simpleText: 'Video' } } },
+    { videoRenderer: { videoId: 'v2' } },
+    { futureVideoViewModel: { videoId: 'v3' } },
+    { futureVideoViewModel: { videoId: 'v4' } },
+    { adSlotRenderer: {} },
+    { messageRenderer: { text: { simpleText: 'No more results' } } },
+  ];
+
+  describe('parseSearchResults()', () => {
+    it('should report unknown renderers and missing fields', () => {
+      const unknown = [];
+      const { results, diagnostics } = parseSearchResults(searchResponse(items), {
+        onUnknownRenderer: (renderer, content) =>
+          unknown.push([renderer, content.futureVideoViewModel.videoId]),
+      });
+
+      assert.deepStrictEqual(
+        results.map((r) => r.id),
+        ['v1', 'v2']
+      );
+      assert.deepStrictEqual(diagnostics, {
+        unknownRenderers: ['futureVideoViewModel'],
+        droppedItems: ['futureVideoViewModel', 'futureVideoViewModel'],
+        missingFields: [{ type: 'video', id: 'v2', fields: ['title'] }],
+        errors: [],
+      });
+      assert.deepStrictEqual(unknown, [
+        ['futureVideoViewModel', 'v3'],
+        ['futureVideoViewModel', 'v4'],
+      ]);
+    });
+
+    it('should report responses it does not recognize', () => {
+      const { results, diagnostics } = parseSearchResults({ contents: {} });
+      assert.deepStrictEqual(results, []);
+      assert.deepStrictEqual(diagnostics.errors, ['Unrecognized search response layout']);
+      assert.deepStrictEqual(parseSearchResults(null).diagnostics.errors, [
+        'Unrecognized search response layout',
+      ]);
+    });
+
+    it('should throw a ParseError in strict mode', () => {
+      assert.throws(
+        () => parseSearchResults(searchResponse(items.slice(2)), { strict: true }),
+        (error) =>
+          error instanceof ParseError &&
+          error.name === 'ParseError' &&
+          error.message === 'Unknown renderer: futureVideoViewModel' &&
+          error.diagnostics.unknownRenderers[0] === 'futureVideoViewModel'
+      );
+      assert.throws(
+        () => parseSearchResults(searchResponse(items.slice(1)), { strict: true }),
+        /videoRenderer item is missing title/
+      );
+      assert.throws(
+        () => parseSearchResults({ contents: {} }, { strict: true }),
+        /Unrecognized search response layout/
+      );
+    });
+
+    it('should accept related searches in strict mode', () => {
+      const unknown = [];
+      const { results, diagnostics } = parseSearchResults(detailedSearchResponse, {
+        strict: true,
+        onUnknownRenderer: (renderer) => unknown.push(renderer),
+      });
+      assert.deepStrictEqual(
+        results.map((r) => r.id),
+        ['v1']
+      );
+      assert.deepStrictEqual(diagnostics.unknownRenderers, []);
+      assert.deepStrictEqual(unknown, []);
+    });
+
+    it('should accept complete responses in strict mode', () => {
+      const { results } = parseSearchResults(searchResponse([items[0], ...items.slice(4)]), {
+        strict: true,
+      });
+      assert.strictEqual(results.length, 1);
+    });
+  });
+
+  describe('parseItemList()', () => {
+    it('should report items a known renderer could not parse', () => {
+      const { results, diagnostics } = parseItemList([
+        { lockupViewModel: { contentId: 'x', contentType: 'LOCKUP_CONTENT_TYPE_PODCAST' } },
+      ]);
+      assert.deepStrictEqual(results, []);
+      assert.deepStrictEqual(diagnostics.droppedItems, ['lockupViewModel']);
+      assert.deepStrictEqual(diagnostics.unknownRenderers, []);
+    });
+  });
+});
+
+describe('Search metadata parser', () => {
+  describe('parseSearchMetadata()', () => {
+    it('should parse estimates, corrections, chips and related searches', () => {
+      assert.deepStrictEqual(parseSearchMetadata(detailedSearchResponse), {
+        estimatedResults: 123456,
+        correctedQuery: 'lofi',
+        originalQuery: 'lofy',
+        autoCorrected: true,
+        refinements: [
+          { text: 'All', query: null, selected: true },
+          { text: 'Shorts', query: 'lofy', selected: false },
+        ],
+        relatedSearches: ['lofi hip hop', 'lofi girl', 'lofi jazz'],
+      });
+    });
+
+    it('should parse "Did you mean" suggestions', () => {
+      const metadata = parseSearchMetadata({
+        contents: {
+          twoColumnSearchResultsRenderer: {
+            primaryContents: {
+              sectionListRenderer: {
+                contents: [
+                  {
+                    itemSectionRenderer: {
+                      contents: [
+                        {
+                          didYouMeanRenderer: {
+                            correctedQueryEndpoint: { searchEndpoint: { query: 'lofi' } },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      });
+      assert.strictEqual(metadata.correctedQuery, 'lofi');
+      assert.strictEqual(metadata.originalQuery, null);
+      assert.strictEqual(metadata.autoCorrected, false);
+    });
+
+    it('should return empty metadata for an empty response', () => {
+      assert.deepStrictEqual(parseSearchMetadata({}), {
+        estimatedResults: null,
+        correctedQuery: null,
+        originalQuery: null,
+        autoCorrected: false,
+        refinements: [],
+        relatedSearches: [],
+      });
+    });
+  });
+});
+
+describe('Search filters', () => {
+  describe('encodeSearchParams()', () => {
+    it('should return undefined when no filter is set', () => {
+      assert.strictEqual(encodeSearchParams(), undefined);
+      assert.strictEqual(encodeSearchParams({ type: 'all', sortBy: 'relevance' }), undefined);
+    });
+
+    it('should encode type filters like the web client', () => {
+      assert.strictEqual(encodeSearchParams({ type: 'video' }), 'EgIQAQ==');
+      assert.strictEqual(encodeSearchParams({ type: 'channel' }), 'EgIQAg==');
+      assert.strictEqual(encodeSearchParams({ type: 'playlist' }), 'EgIQAw==');
+      assert.strictEqual(encodeSearchParams({ type: 'movie' }), 'EgIQBA==');
+      assert.strictEqual(encodeSearchParams({ type: 'short' }), 'EgIQCQ==');
+    });
+
+    it('should not encode types that are only filtered client-side', () => {
+      assert.strictEqual(encodeSearchParams({ type: 'mix' }), undefined);
+    });
+
+    it('should encode sort order outside the filters message', () => {
+      assert.strictEqual(encodeSearchParams({ sortBy: 'date' }), 'CAI=');
+      assert.strictEqual(encodeSearchParams({ sortBy: 'views', type: 'video' }), 'CAMSAhAB');
+    });
+
+    it('should combine upload date, duration and features', () => {
+      const params = encodeSearchParams({
+        type: 'video',
+        uploadDate: 'today',
+        duration: 'long',
+        features: ['4k', 'hd', 'hd'],
+      });
+      const bytes = [...atob(params)].map((c) => c.charCodeAt(0));
+      // field 2 (filters), length 10: uploadDate=2, type=1, duration=2, hd, 4k
+      assert.deepStrictEqual(bytes, [0x12, 10, 0x08, 2, 0x10, 1, 0x18, 2, 0x20, 1, 0x70, 1]);
+    });
+
+    it('should throw on unknown filter values', () => {
+      assert.throws(() => encodeSearchParams({ uploadDate: 'decade' }), /Invalid uploadDate/);
+      assert.throws(() => encodeSearchParams({ features: ['8k'] }), /Invalid features/);
+    });
+  });
+});
+
+// ============================================
+// Video Details Parser Tests
+// ============================================
+
+const playerResponse = {
+  playabilityStatus: { status: 'OK', playableInEmbed: true },
+  videoDetails: {
+    videoId: 'abc123',
+    title: 'Test Video',
+    lengthSeconds: '754',
+    keywords: ['lofi', 'beats'],
+    channelId: 'UC123',
+    shortDescription: 'Full description\nwith lines',
+    viewCount: '1234567',
+    author: 'Test Channel',
+    isLiveContent: false,
+    thumbnail: { thumbnails: [{ url: 'https://example.com/t.jpg', width: 120, height: 90 }] },
+  },
+  microformat: {
+    playerMicroformatRenderer: {
+      category: 'Music',
+      publishDate: '2024-01-02',
+      uploadDate: '2024-01-01',
+      isUnlisted: false,
+      isFamilySafe: true,
+    },
+  },
+  captions: {
+    playerCaptionsTracklistRenderer: {
+      captionTracks: [
+        { baseUrl: 'https://example.com/en', name: { simpleText: 'English' }, languageCode: 'en' },
+        {
+          baseUrl: 'https://example.com/asr',
+          name: { runs: [{ text: 'English (auto-generated)' }] },
+          languageCode: 'en',
+          kind: 'asr',
+          isTranslatable: true,
+        },
+      ],
+    },
+  },
+};
+
+const nextResponse = {
+  contents: {
+    twoColumnWatchNextResults: {
+      results: {
+        results: {
+          contents: [
+            {
+              videoPrimaryInfoRenderer: {
+                videoActions: {
+                  menuRenderer: {
+                    topLevelButtons: [
+                      {
+                        segmentedLikeDislikeButtonViewModel: {
+                          likeButtonViewModel: {
+                            likeButtonViewModel: {
+                              toggleButtonViewModel: {
+                                toggleButtonViewModel: {
+                                  defaultButtonViewModel: {
+                                    buttonViewModel: {
+                                      title: '12K',
+                                      accessibilityText:
+                                        'like this video along with 12,345 other people',
+                                    },
+                                  },
+                                },
+                              },
+                            },
+                          },
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+  playerOverlays: {
+    playerOverlayRenderer: {
+      decoratedPlayerBarRenderer: {
+        decoratedPlayerBarRenderer: {
+          playerBar: {
+            multiMarkersPlayerBarRenderer: {
+              markersMap: [
+                {
+                  key: 'DESCRIPTION_CHAPTERS',
+                  value: {
+                    chapters: [
+                      {
+                        chapterRenderer: {
+                          title: { simpleText: 'Intro' },
+                          timeRangeStartMillis: 0,
+                        },
+                      },
+                      {
+                        chapterRenderer: {
+                          title: { simpleText: 'Part 1' },
+                          timeRangeStartMillis: 65000,
+                        },
+                      },
+                    ],
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+describe('Video details parser', () => {
+  describe('parseVideoDetails()', () => {
+    it('should combine player and next responses', () => {
+      const video = parseVideoDetails(playerResponse, nextResponse);
+      assert.strictEqual(video.id, 'abc123');
+      assert.strictEqual(video.link, 'https://www.youtube.com/watch?v=abc123');
+      assert.strictEqual(video.durationSeconds, 754);
+      assert.strictEqual(video.viewCount, 1234567);
+      assert.strictEqual(video.likeCount, 12345);
+      assert.strictEqual(video.description, 'Full description\nwith lines');
+      assert.deepStrictEqual(video.keywords, ['lofi', 'beats']);
+      assert.strictEqual(video.category, 'Music');
+      assert.strictEqual(video.publishDate, '2024-01-02');
+      assert.strictEqual(video.uploadDate, '2024-01-01');
+      assert.strictEqual(video.channelId, 'UC123');
+      assert.strictEqual(video.isLive, false);
+      assert.strictEqual(video.isPremiere, false);
+      assert.deepStrictEqual(video.playability, {
+        status: 'OK',
+        reason: '',
+        playableInEmbed: true,
+      });
+    });
+
+    it('should parse caption tracks and chapters', () => {
+      const video = parseVideoDetails(playerResponse, nextResponse);
+      assert.strictEqual(video.captions.length, 2);
+      assert.strictEqual(video.captions[0].kind, 'standard');
+      assert.strictEqual(video.captions[1].kind, 'asr');
+      assert.strictEqual(video.captions[1].name, 'English (auto-generated)');
+      assert.deepStrictEqual(
+        video.chapters.map((c) => [c.title, c.startSeconds]),
+        [
+          ['Intro', 0],
+          ['Part 1', 65],
+        ]
+      );
+    });
+
+    it('should flag upcoming premieres', () => {
+      const video = parseVideoDetails({
+        videoDetails: { videoId: 'p1', isUpcoming: true },
+        microformat: {
+          playerMicroformatRenderer: {
+            liveBroadcastDetails: { startTimestamp: '2030-01-01T00:00:00+00:00' },
+          },
+        },
+      });
+      assert.strictEqual(video.isUpcoming, true);
+      assert.strictEqual(video.isPremiere, true);
+      assert.strictEqual(video.liveStartTime, '2030-01-01T00:00:00+00:00');
+      assert.strictEqual(video.likeCount, null);
+      assert.deepStrictEqual(video.chapters, []);
+    });
+
+    it('should report playability of unavailable videos', () => {
+      const video = parseVideoDetails({
+        playabilityStatus: { status: 'ERROR', reason: 'Video unavailable' },
+      });
+      assert.strictEqual(video.playability.status, 'ERROR');
+      assert.strictEqual(video.playability.reason, 'Video unavailable');
+      assert.strictEqual(video.viewCount, null);
+    });
+  });
+});
+
+const compactVideo = (id) => ({
+  compactVideoRenderer: {
+    videoId: id,
+    title: { simpleText: `Related ${id}` },
+    longBylineText: { runs: [{ text: 'Other Channel' }] },
+    lengthText: { simpleText: '4:20' },
+    viewCountText: { simpleText: '10K views' },
+    publishedTimeText: { simpleText: '1 year ago' },
+  },
+});
+
+const lockupVideo = (id) => ({
+  lockupViewModel: {
+    contentId: id,
+    contentType: 'LOCKUP_CONTENT_TYPE_VIDEO',
+    contentImage: {
+      thumbnailViewModel: {
+        image: { sources: [{ url: `https://example.com/${id}.jpg`, width: 168, height: 94 }] },
+        overlays: [
+          {
+            thumbnailOverlayBadgeViewModel: {
+              thumbnailBadges: [{ thumbnailBadgeViewModel: { text: '12:34' } }],
+            },
+          },
+        ],
+      },
+    },
+    metadata: {
+      lockupMetadataViewModel: {
+        title: { content: `Lockup ${id}` },
+        metadata: {
+          contentMetadataViewModel: {
+            metadataRows: [
+              {
+                metadataParts: [
+                  {
+                    text: {
+                      content: 'Lockup Channel',
+                      commandRuns: [
+                        {
+                          onTap: {
+                            innertubeCommand: {
+                              browseEndpoint: {
+                                browseId: 'UClockup',
+                                canonicalBaseUrl: '/@LockupChannel',
+                              },
+                            },
+                          },
+                        },
+                      ],
+                      attachmentRuns: [
+                        {
+                          element: {
+                            type: {
+                              imageType: {
+                                image: {
+                                  sources: [
+                                    { clientResource: { imageName: 'CHECK_CIRCLE_FILLED' } },
+                                  ],
+                                },
+                              },
+                            },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+              {
+                metadataParts: [
+                  { text: { content: '5M views' } },
+                  { text: { content: '2 weeks ago' } },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  },
+});
+
+const relatedResponse = {
+  contents: {
+    twoColumnWatchNextResults: {
+      secondaryResults: {
+        secondaryResults: {
+          results: [
+            compactVideo('r1'),
+            {
+              itemSectionRenderer: {
+                contents: [
+                  lockupVideo('r2'),
+                  compactVideo('abc123'),
+                  {
+                    lockupViewModel: {
+                      contentId: 'PLr',
+                      contentType: 'LOCKUP_CONTENT_TYPE_PLAYLIST',
+                      metadata: { lockupMetadataViewModel: { title: { content: 'A playlist' } } },
+                    },
+                  },
+                  {
+                    continuationItemRenderer: {
+                      continuationEndpoint: { continuationCommand: { token: 'rel-tok' } },
+                    },
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+};
+
+describe('Related results parser', () => {
+  describe('parseRelatedResults()', () => {
+    it('should parse compact renderers and lockup view models', () => {
+      const { results, continuationToken } = parseRelatedResults(relatedResponse);
+      assert.deepStrictEqual(
+        results.map((r) => [r.type, r.id]),
+        [
+          ['video', 'r1'],
+          ['video', 'r2'],
+          ['video', 'abc123'],
+          ['playlist', 'PLr'],
+        ]
+      );
+      assert.strictEqual(continuationToken, 'rel-tok');
+
+      const [compact, lockup] = results;
+      assert.strictEqual(compact.title, 'Related r1');
+      assert.strictEqual(compact.author, 'Other Channel');
+      assert.strictEqual(compact.duration, '4:20');
+      assert.strictEqual(lockup.title, 'Lockup r2');
+      assert.strictEqual(lockup.link, 'https://www.youtube.com/watch?v=r2');
+      assert.strictEqual(lockup.author, 'Lockup Channel');
+      assert.strictEqual(lockup.channel.id, 'UClockup');
+      assert.strictEqual(lockup.channel.handle, '@LockupChannel');
+      assert.strictEqual(lockup.channel.verified, true);
+      assert.strictEqual(compact.channel, null);
+      assert.strictEqual(lockup.duration, '12:34');
+      assert.strictEqual(lockup.viewCount, '5M views');
+      assert.strictEqual(lockup.publishedAt, '2 weeks ago');
+      assert.strictEqual(lockup.thumbnail_url, 'https://example.com/r2.jpg');
+    });
+  });
+});
+
+// ============================================
+// Channel Parser Tests
+// ============================================
+
+const channelResponse = {
+  header: {
+    c4TabbedHeaderRenderer: {
+      channelId: 'UCSJ4gkVC6NrvII8umztf0Ow',
+      title: 'Lofi Girl',
+      channelHandleText: { runs: [{ text: '@LofiGirl' }] },
+      avatar: { thumbnails: [{ url: 'https://example.com/avatar.jpg', width: 88, height: 88 }] },
+      banner: { thumbnails: [{ url: 'https://example.com/banner.jpg', width: 1060, height: 175 }] },
+      subscriberCountText: { simpleText: '14.5M subscribers' },
+      videosCountText: { runs: [{ text: '500' }, { text: ' videos' }] },
+      badges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_VERIFIED' } }],
+      headerLinks: {
+        channelHeaderLinksRenderer: {
+          primaryLinks: [
+            {
+              title: { simpleText: 'Shop' },
+              navigationEndpoint: {
+                urlEndpoint: {
+                  url: 'https://www.youtube.com/redirect?event=channel&q=https%3A%2F%2Fshop.example.com',
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+  metadata: {
+    channelMetadataRenderer: {
+      externalId: 'UCSJ4gkVC6NrvII8umztf0Ow',
+      title: 'Lofi Girl',
+      description: 'Beats to relax/study to',
+      keywords: 'lofi "hip hop" chill',
+    },
+  },
+  contents: {
+    twoColumnBrowseResultsRenderer: {
+      tabs: [
+        { tabRenderer: { title: 'Home', selected: false } },
+        {
+          tabRenderer: {
+            title: 'Videos',
+            selected: true,
+            content: {
+              richGridRenderer: {
+                contents: [
+                  {
+                    richItemRenderer: {
+                      content: {
+                        videoRenderer: { videoId: 'v1', title: { runs: [{ text: 'Video 1' }] } },
+                      },
+                    },
+                  },
+                  {
+                    richItemRenderer: {
+                      content: {
+                        videoRenderer: { videoId: 'v2', title: { runs: [{ text: 'Video 2' }] } },
+                      },
+                    },
+                  },
+                  {
+                    continuationItemRenderer: {
+                      continuationEndpoint: { continuationCommand: { token: 'chan-tok' } },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+describe('Channel parser', () => {
+  describe('parseChannelMetadata()', () => {
+    it('should parse the classic channel header', () => {
+      const channel = parseChannelMetadata(channelResponse);
+      assert.strictEqual(channel.id, 'UCSJ4gkVC6NrvII8umztf0Ow');
+      assert.strictEqual(channel.title, 'Lofi Girl');
+      assert.strictEqual(channel.handle, '@LofiGirl');
+      assert.strictEqual(channel.url, 'https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow');
+      assert.strictEqual(channel.description, 'Beats to relax/study to');
+      assert.strictEqual(channel.subscriberCount, '14.5M subscribers');
+      assert.strictEqual(channel.videoCount, '500 videos');
+      assert.strictEqual(channel.verified, true);
+      assert.strictEqual(channel.isArtist, false);
+      assert.strictEqual(channel.avatar[0].url, 'https://example.com/avatar.jpg');
+      assert.strictEqual(channel.banner[0].url, 'https://example.com/banner.jpg');
+      assert.deepStrictEqual(channel.links, [{ title: 'Shop', url: 'https://shop.example.com' }]);
+      assert.deepStrictEqual(channel.keywords, ['lofi', 'hip hop', 'chill']);
+    });
+
+    it('should parse the page header view model', () => {
+      const channel = parseChannelMetadata({
+        header: {
+          pageHeaderRenderer: {
+            content: {
+              pageHeaderViewModel: {
+                title: {
+                  dynamicTextViewModel: {
+                    text: {
+                      content: 'Artist',
+                      attachmentRuns: [
+                        {
+                          element: {
+                            type: {
+                              imageType: {
+                                image: {
+                                  sources: [{ clientResource: { imageName: 'AUDIO_BADGE' } }],
+                                },
+                              },
+                            },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                },
+                metadata: {
+                  contentMetadataViewModel: {
+                    metadataRows: [
+                      { metadataParts: [{ text: { content: '@artist' } }] },
+                      {
+                        metadataParts: [
+                          { text: { content: '2.1M subscribers' } },
+                          { text: { content: '120 videos' } },
+                        ],
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          },
+        },
+        metadata: { channelMetadataRenderer: { externalId: 'UCartist' } },
+      });
+
+      assert.strictEqual(channel.id, 'UCartist');
+      assert.strictEqual(channel.title, 'Artist');
+      assert.strictEqual(channel.handle, '@artist');
+      assert.strictEqual(channel.subscriberCount, '2.1M subscribers');
+      assert.strictEqual(channel.videoCount, '120 videos');
+      assert.strictEqual(channel.verified, true);
+      assert.strictEqual(channel.isArtist, true);
+    });
+  });
+
+  describe('parseChannelTab()', () => {
+    it('should parse the selected tab grid and its continuation', () => {
+      const { results, continuationToken } = parseChannelTab(channelResponse);
+      assert.deepStrictEqual(
+        results.map((r) => [r.type, r.id]),
+        [
+          ['video', 'v1'],
+          ['video', 'v2'],
+        ]
+      );
+      assert.strictEqual(continuationToken, 'chan-tok');
+    });
+
+    it('should return no results when no tab is selected', () => {
+      const { results, continuationToken } = parseChannelTab({});
+      assert.deepStrictEqual(
+        { results, continuationToken },
+        { results: [], continuationToken: null }
+      );
+    });
+  });
+});
+
+// ============================================
+// Playlist Parser Tests
+// ============================================
+
+const playlistVideo = (id, index) => ({
+  playlistVideoRenderer: {
+    videoId: id,
+    title: { runs: [{ text: `Video ${index}` }] },
+    index: { simpleText: String(index) },
+    lengthText: { simpleText: '3:21' },
+    shortBylineText: { runs: [{ text: 'Uploader' }] },
+    videoInfo: { runs: [{ text: '1.2M views' }, { text: ' • ' }, { text: '3 years ago' }] },
+  },
+});
+
+const playlistResponse = {
+  sidebar: {
+    playlistSidebarRenderer: {
+      items: [
+        {
+          playlistSidebarPrimaryInfoRenderer: {
+            title: { runs: [{ text: 'My Playlist' }] },
+            description: { simpleText: 'Songs' },
+            stats: [
+              { runs: [{ text: '1,234' }, { text: ' videos' }] },
+              { simpleText: '56,789 views' },
+              { runs: [{ text: 'Last updated on ' }, { text: 'Jan 1, 2024' }] },
+            ],
+            badges: [{ metadataBadgeRenderer: { icon: { iconType: 'PRIVACY_UNLISTED' } } }],
+          },
+        },
+        {
+          playlistSidebarSecondaryInfoRenderer: {
+            videoOwner: {
+              videoOwnerRenderer: {
+                title: { runs: [{ text: 'Owner' }] },
+                navigationEndpoint: { browseEndpoint: { browseId: 'UCowner' } },
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  contents: {
+    twoColumnBrowseResultsRenderer: {
+      tabs: [
+        {
+          tabRenderer: {
+            content: {
+              sectionListRenderer: {
+                contents: [
+                  {
+                    itemSectionRenderer: {
+                      contents: [
+                        {
+                          playlistVideoListRenderer: {
+                            contents: [
+                              playlistVideo('v1', 1),
+                              playlistVideo('v2', 2),
+                              {
+                                continuationItemRenderer: {
+                                  continuationEndpoint: {
+                                    continuationCommand: { token: 'pl-tok' },
+                                  },
+                                },
+                              },
+                            ],
+                          },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+describe('Playlist parser', () => {
+  describe('parsePlaylistMetadata()', () => {
+    it('should parse sidebar metadata', () => {
+      const playlist = parsePlaylistMetadata(playlistResponse, 'PL123');
+      assert.strictEqual(playlist.id, 'PL123');
+      assert.strictEqual(playlist.link, 'https://www.youtube.com/playlist?list=PL123');
+      assert.strictEqual(playlist.title, 'My Playlist');
+      assert.strictEqual(playlist.description, 'Songs');
+      assert.deepStrictEqual(playlist.owner, { id: 'UCowner', title: 'Owner' });
+      assert.strictEqual(playlist.videoCount, '1,234 videos');
+      assert.strictEqual(playlist.totalCount, 1234);
+      assert.strictEqual(playlist.viewCount, '56,789 views');
+      assert.strictEqual(playlist.lastUpdated, 'Last updated on Jan 1, 2024');
+      assert.strictEqual(playlist.privacy, 'unlisted');
+    });
+
+    it('should parse header metadata', () => {
+      const playlist = parsePlaylistMetadata({
+        header: {
+          playlistHeaderRenderer: {
+            playlistId: 'PL999',
+            title: { simpleText: 'Header Playlist' },
+            numVideosText: { runs: [{ text: '12' }, { text: ' videos' }] },
+            ownerText: {
+              runs: [
+                { text: 'Owner', navigationEndpoint: { browseEndpoint: { browseId: 'UCo' } } },
+              ],
+            },
+            privacy: 'PRIVATE',
+          },
+        },
+      });
+      assert.strictEqual(playlist.id, 'PL999');
+      assert.strictEqual(playlist.totalCount, 12);
+      assert.deepStrictEqual(playlist.owner, { id: 'UCo', title: 'Owner' });
+      assert.strictEqual(playlist.privacy, 'private');
+    });
+  });
+
+  describe('parsePlaylistVideos()', () => {
+    it('should parse playlist video renderers into video results', () => {
+      const { results, continuationToken } = parsePlaylistVideos(playlistResponse);
+      assert.strictEqual(results.length, 2);
+      assert.strictEqual(results[0].type, 'video');
+      assert.strictEqual(results[0].id, 'v1');
+      assert.strictEqual(results[0].index, 1);
+      assert.strictEqual(results[0].author, 'Uploader');
+      assert.strictEqual(results[0].duration, '3:21');
+      assert.strictEqual(results[0].viewCount, '1.2M views');
+      assert.strictEqual(results[0].publishedAt, '3 years ago');
+      assert.strictEqual(continuationToken, 'pl-tok');
+    });
+  });
+});
+
+// ============================================
+// Suggestion Parser Tests
+// ============================================
+
+describe('Suggestion parser', () => {
+  describe('parseSuggestions()', () => {
+    it('should parse JSONP payloads', () => {
+      const payload =
+        'window.google.ac.h(["lofi",[["lofi hip hop",0,[512,433]],["lofi girl",0,[512]]],{"k":1,"q":"abc"}])';
+      assert.deepStrictEqual(parseSuggestions(payload), ['lofi hip hop', 'lofi girl']);
+    });
+
+    it('should parse plain JSON payloads', () => {
+      assert.deepStrictEqual(parseSuggestions('["lofi",["lofi hip hop","lofi girl"]]'), [
+        'lofi hip hop',
+        'lofi girl',
+      ]);
+    });
+
+    it('should return an empty array for malformed payloads', () => {
+      assert.deepStrictEqual(parseSuggestions(''), []);
+      assert.deepStrictEqual(parseSuggestions('<html>error</html>'), []);
+      assert.deepStrictEqual(parseSuggestions('window.google.ac.h([broken'), []);
+    });
+  });
+});
+
+// ============================================
+// Comments Parser Tests
+// ============================================
+
+const commentsHeader = (selected) => ({
+  commentsHeaderRenderer: {
+    countText: { runs: [{ text: '1,234' }, { text: ' Comments' }] },
+    sortMenu: {
+      sortFilterSubMenuRenderer: {
+        subMenuItems: [
+          {
+            title: 'Top comments',
+            selected: selected === 'top',
+            serviceEndpoint: { continuationCommand: { token: 'sort-top' } },
+          },
+          {
+            title: 'Newest first',
+            selected: selected === 'newest',
+            serviceEndpoint: { continuationCommand: { token: 'sort-newest' } },
+          },
+        ],
+      },
+    },
+  },
+});
+
+const commentThread = (id, text) => ({
+  commentThreadRenderer: {
+    comment: {
+      commentRenderer: {
+        commentId: id,
+        contentText: {
+          runs: [
+            { text },
+            {
+              text: ' link',
+              navigationEndpoint: { urlEndpoint: { url: 'https://example.com' } },
+            },
+          ],
+        },
+        authorText: { simpleText: '@author' },
+        authorEndpoint: { browseEndpoint: { browseId: 'UCauthor' } },
+        voteCount: { simpleText: '1.2K' },
+        replyCount: 3,
+        publishedTimeText: { runs: [{ text: '2 days ago' }] },
+        pinnedCommentBadge: {},
+        authorIsChannelOwner: true,
+        actionButtons: {
+          commentActionButtonsRenderer: {
+            creatorHeart: { creatorHeartRenderer: { isHearted: true } },
+          },
+        },
+      },
+    },
+    replies: {
+      commentRepliesRenderer: {
+        contents: [
+          {
+            continuationItemRenderer: {
+              continuationEndpoint: { continuationCommand: { token: `replies-${id}` } },
+            },
+          },
+        ],
+      },
+    },
+  },
+});
+
+const commentsPageResponse = (selected, ids) => ({
+  onResponseReceivedEndpoints: [
+    { reloadContinuationItemsCommand: { continuationItems: [commentsHeader(selected)] } },
+    {
+      reloadContinuationItemsCommand: {
+        continuationItems: [
+          ...ids.map((id) => commentThread(id, `comment ${id}`)),
+          {
+            continuationItemRenderer: {
+              continuationEndpoint: { continuationCommand: { token: 'more-comments' } },
+            },
+          },
+        ],
+      },
+    },
+  ],
+});
+
+describe('Comments parser', () => {
+  describe('findCommentsContinuation()', () => {
+    it('should find the comment section continuation on a watch page', () => {
+      const next = {
+        contents: {
+          twoColumnWatchNextResults: {
+            results: {
+              results: {
+                contents: [
+                  {
+                    itemSectionRenderer: {
+                      sectionIdentifier: 'comment-item-section',
+                      contents: [
+                        {
+                          continuationItemRenderer: {
+                            continuationEndpoint: { continuationCommand: { token: 'c-tok' } },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      };
+      assert.strictEqual(findCommentsContinuation(next), 'c-tok');
+      assert.strictEqual(findCommentsContinuation({}), null);
+    });
+  });
+
+  describe('parseCommentsPage()', () => {
+    it('should parse comment renderers, header and continuations', () => {
+      const page = parseCommentsPage(commentsPageResponse('top', ['c1']));
+      assert.strictEqual(page.totalCount, '1,234 Comments');
+      assert.strictEqual(page.sort, 'top');
+      assert.deepStrictEqual(page.sortTokens, { top: 'sort-top', newest: 'sort-newest' });
+      assert.strictEqual(page.continuationToken, 'more-comments');
+
+      const [comment] = page.results;
+      assert.strictEqual(comment.id, 'c1');
+      assert.strictEqual(comment.text, 'comment c1 link');
+      assert.deepStrictEqual(comment.runs, [
+        { text: 'comment c1' },
+        { text: ' link', url: 'https://example.com' },
+      ]);
+      assert.strictEqual(comment.author, '@author');
+      assert.strictEqual(comment.authorChannelId, 'UCauthor');
+      assert.strictEqual(comment.likeCount, '1.2K');
+      assert.strictEqual(comment.replyCount, 3);
+      assert.strictEqual(comment.publishedTime, '2 days ago');
+      assert.strictEqual(comment.isPinned, true);
+      assert.strictEqual(comment.isHearted, true);
+      assert.strictEqual(comment.isCreator, true);
+      assert.strictEqual(comment.repliesToken, 'replies-c1');
+    });
+
+    it('should resolve comment view models from entity payloads', () => {
+      const page = parseCommentsPage({
+        onResponseReceivedEndpoints: [
+          {
+            appendContinuationItemsAction: {
+              continuationItems: [
+                {
+                  commentThreadRenderer: {
+                    commentViewModel: {
+                      commentViewModel: { commentKey: 'ck', toolbarStateKey: 'tk' },
+                    },
+                  },
+                },
+              ],
+            },
+          },
+        ],
+        frameworkUpdates: {
+          entityBatchUpdate: {
+            mutations: [
+              {
+                entityKey: 'ck',
+                payload: {
+                  commentEntityPayload: {
+                    properties: {
+                      commentId: 'vm1',
+                      content: {
+                        content: 'see 1:23 here',
+                        commandRuns: [
+                          {
+                            startIndex: 4,
+                            length: 4,
+                            onTap: {
+                              innertubeCommand: {
+                                commandMetadata: {
+                                  webCommandMetadata: { url: '/watch?v=abc&t=83s' },
+                                },
+                              },
+                            },
+                          },
+                        ],
+                      },
+                      publishedTime: '1 hour ago',
+                    },
+                    author: { channelId: 'UCvm', displayName: '@vm', isCreator: false },
+                    toolbar: { likeCountNotliked: '42 ', replyCount: '7' },
+                  },
+                },
+              },
+              {
+                entityKey: 'tk',
+                payload: {
+                  engagementToolbarStateEntityPayload: {
+                    heartState: 'TOOLBAR_HEART_STATE_HEARTED',
+                  },
+                },
+              },
+            ],
+          },
+        },
+      });
+
+      const [comment] = page.results;
+      assert.strictEqual(comment.id, 'vm1');
+      assert.strictEqual(comment.text, 'see 1:23 here');
+      assert.deepStrictEqual(comment.runs, [
+        { text: 'see ' },
+        { text: '1:23', url: 'https://www.youtube.com/watch?v=abc&t=83s' },
+        { text: ' here' },
+      ]);
+      assert.strictEqual(comment.authorChannelId, 'UCvm');
+      assert.strictEqual(comment.likeCount, '42');
+      assert.strictEqual(comment.replyCount, 7);
+      assert.strictEqual(comment.isHearted, true);
+      assert.strictEqual(comment.isPinned, false);
+    });
+  });
+});
+
+const transcriptNext = {
+  engagementPanels: [
+    {
+      engagementPanelSectionListRenderer: {
+        panelIdentifier: 'engagement-panel-searchable-transcript',
+        content: {
+          continuationItemRenderer: {
+            continuationEndpoint: { getTranscriptEndpoint: { params: 'transcript-params' } },
+          },
+        },
+      },
+    },
+  ],
+};
+
+const transcriptResponse = (selectedTitle, texts) => ({
+  actions: [
+    {
+      updateEngagementPanelAction: {
+        content: {
+          transcriptRenderer: {
+            content: {
+              transcriptSearchPanelRenderer: {
+                body: {
+                  transcriptSegmentListRenderer: {
+                    initialSegments: texts.map((text, i) => ({
+                      transcriptSegmentRenderer: {
+                        startMs: String(i * 2000),
+                        endMs: String(i * 2000 + 1500),
+                        snippet: { runs: [{ text }] },
+                      },
+                    })),
+                  },
+                },
+                footer: {
+                  transcriptFooterRenderer: {
+                    languageMenu: {
+                      sortFilterSubMenuRenderer: {
+                        subMenuItems: ['English', 'French (auto-generated)'].map((title) => ({
+                          title,
+                          selected: title === selectedTitle,
+                          continuation: {
+                            reloadContinuationData: { continuation: `lang-${title}` },
+                          },
+                        })),
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  ],
+});
+
+describe('Transcript parser', () => {
+  describe('findTranscriptParams()', () => {
+    it('should find the params in the transcript engagement panel', () => {
+      assert.strictEqual(findTranscriptParams(transcriptNext), 'transcript-params');
+      assert.strictEqual(findTranscriptParams({}), null);
+    });
+  });
+
+  describe('parseTranscriptResponse()', () => {
+    it('should parse segments and the language menu', () => {
+      const transcript = parseTranscriptResponse(transcriptResponse('English', ['Hello', 'world']));
+      assert.deepStrictEqual(transcript.segments, [
+        { startMs: 0, endMs: 1500, text: 'Hello' },
+        { startMs: 2000, endMs: 3500, text: 'world' },
+      ]);
+      assert.deepStrictEqual(transcript.languageMenu[1], {
+        title: 'French (auto-generated)',
+        selected: false,
+        params: 'lang-French (auto-generated)',
+      });
+    });
+
+    it('should return empty results for an empty response', () => {
+      assert.deepStrictEqual(parseTranscriptResponse({}), { segments: [], languageMenu: [] });
+    });
+  });
+
+  describe('parseTimedText()', () => {
+    it('should parse json3 events and skip empty ones', () => {
+      const segments = parseTimedText({
+        events: [
+          { tStartMs: 0, dDurationMs: 5000 },
+          { tStartMs: 100, dDurationMs: 900, segs: [{ utf8: 'Hi ' }, { utf8: 'there' }] },
+          { tStartMs: 1000, dDurationMs: 10, segs: [{ utf8: '\n' }] },
+        ],
+      });
+      assert.deepStrictEqual(segments, [{ startMs: 100, endMs: 1000, text: 'Hi there' }]);
+    });
+  });
+
+  describe('serializers', () => {
+    const segments = [
+      { startMs: 500, endMs: 2250, text: 'Hello' },
+      { startMs: 3723004, endMs: 3725000, text: 'world' },
+    ];
+
+    it('should serialize to SRT', () => {
+      assert.strictEqual(
+        toSRT(segments),
+        '1\n00:00:00,500 --> 00:00:02,250\nHello\n\n2\n01:02:03,004 --> 01:02:05,000\nworld\n'
+      );
+    });
+
+    it('should serialize to WebVTT', () => {
+      assert.strictEqual(
+        toWebVTT(segments),
+        'WEBVTT\n\n00:00:00.500 --> 00:00:02.250\nHello\n\n01:02:03.004 --> 01:02:05.000\nworld\n'
+      );
+    });
+
+    it('should serialize to plain text', () => {
+      assert.strictEqual(toPlainText(segments), 'Hello\nworld');
+    });
+  });
+});
+
+describe('Normalization', () => {
+  describe('parseCount()', () => {
+    it('should parse plain and abbreviated counts', () => {
+      assert.strictEqual(parseCount('1,234,567 views'), 1234567);
+      assert.strictEqual(parseCount('1.2M subscribers'), 1200000);
+      assert.strictEqual(parseCount('15K views'), 15000);
+      assert.strictEqual(parseCount('2.5B views'), 2500000000);
+      assert.strictEqual(parseCount('50+ videos'), 50);
+      assert.strictEqual(parseCount('1 view'), 1);
+    });
+
+    it('should parse "No views" as zero and non-counts as null', () => {
+      assert.strictEqual(parseCount('No views'), 0);
+      assert.strictEqual(parseCount('@LofiGirl'), null);
+      assert.strictEqual(parseCount(''), null);
+      assert.strictEqual(parseCount(undefined), null);
+    });
+
+    it('should not treat words starting with K, M or B as multipliers', () => {
+      assert.strictEqual(parseCount('5 books'), 5);
+    });
+  });
+
+  describe('parseDuration()', () => {
+    it('should parse clock-style durations', () => {
+      assert.strictEqual(parseDuration('12:34'), 754);
+      assert.strictEqual(parseDuration('1:02:03'), 3723);
+      assert.strictEqual(parseDuration('0:59'), 59);
+    });
+
+    it('should return null for non-durations', () => {
+      assert.strictEqual(parseDuration('LIVE'), null);
+      assert.strictEqual(parseDuration(''), null);
+    });
+  });
+
+  describe('estimatePublishedAt()', () => {
+    const now = Date.parse('2024-03-15T12:00:00.000Z');
+
+    it('should subtract the relative offset from the reference time', () => {
+      assert.strictEqual(estimatePublishedAt('3 weeks ago', now), '2024-02-23T12:00:00.000Z');
+      assert.strictEqual(estimatePublishedAt('1 hour ago', now), '2024-03-15T11:00:00.000Z');
+      assert.strictEqual(
+        estimatePublishedAt('Streamed 2 days ago', now),
+        '2024-03-13T12:00:00.000Z'
+      );
+    });
+
+    it('should return null for text that is not a relative date', () => {
+      assert.strictEqual(estimatePublishedAt('', now), null);
+      assert.strictEqual(estimatePublishedAt('Mar 1, 2024', now), null);
+    });
+  });
+
+  describe('isStreamedText()', () => {
+    it('should recognize the date of a finished live stream', () => {
+      assert.strictEqual(isStreamedText('Streamed 2 days ago'), true);
+      assert.strictEqual(isStreamedText('Live übertragen vor 2 Tagen', 'de'), true);
+      assert.strictEqual(isStreamedText('2 days ago'), false);
+      assert.strictEqual(isStreamedText(undefined), false);
+    });
+  });
+
+  describe('locales', () => {
+    const now = Date.parse('2024-03-15T12:00:00.000Z');
+    const threeWeeksAgo = '2024-02-23T12:00:00.000Z';
+
+    it('should parse localized counts', () => {
+      assert.strictEqual(parseCount('1,2 Mio. Aufrufe', 'de'), 1200000);
+      assert.strictEqual(parseCount('15.678 Aufrufe', 'de'), 15678);
+      assert.strictEqual(parseCount('1 234 567 vues', 'fr'), 1234567);
+      assert.strictEqual(parseCount('1,2 Md de vues', 'fr'), 1200000000);
+      assert.strictEqual(parseCount('15 mil visualizaciones', 'es'), 15000);
+      assert.strictEqual(parseCount('1,2 mil M de visualizaciones', 'es'), 1200000000);
+      assert.strictEqual(parseCount('1,2 mi de visualizações', 'pt-BR'), 1200000);
+      assert.strictEqual(parseCount('1,2 млн просмотров', 'ru'), 1200000);
+      assert.strictEqual(parseCount('15 тыс. подписчиков', 'ru'), 15000);
+      assert.strictEqual(parseCount('15 B görüntüleme', 'tr'), 15000);
+      assert.strictEqual(parseCount('1.2万回視聴', 'ja'), 12000);
+      assert.strictEqual(parseCount('조회수 3.4억회', 'ko'), 340000000);
+      assert.strictEqual(parseCount('1.2萬次觀看', 'zh-TW'), 12000);
+    });
+
+    it('should parse localized zero counts', () => {
+      assert.strictEqual(parseCount('Keine Aufrufe', 'de'), 0);
+      assert.strictEqual(parseCount('Aucune vue', 'fr'), 0);
+      assert.strictEqual(parseCount('Нет просмотров', 'ru'), 0);
+    });
+
+    it('should parse localized relative dates', () => {
+      assert.strictEqual(estimatePublishedAt('vor 3 Wochen', now, 'de'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('il y a 3 semaines', now, 'fr'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('hace 3 semanas', now, 'es'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('há 3 semanas', now, 'pt'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3 settimane fa', now, 'it'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3 weken geleden', now, 'nl'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3 недели назад', now, 'ru'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3 hafta önce', now, 'tr'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3 週間前', now, 'ja'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3주 전', now, 'ko'), threeWeeksAgo);
+      assert.strictEqual(estimatePublishedAt('3周前', now, 'zh-CN'), threeWeeksAgo);
+      assert.strictEqual(
+        estimatePublishedAt('Live übertragen vor 1 Tag', now, 'de'),
+        '2024-03-14T12:00:00.000Z'
+      );
+    });
+
+    it('should not treat future phrases as past dates', () => {
+      assert.strictEqual(estimatePublishedAt('Premieres in 2 hours', now), null);
+    });
+
+    it('should parse spelled-out durations', () => {
+      assert.strictEqual(parseDuration('1 hour, 2 minutes, 3 seconds'), 3723);
+      assert.strictEqual(parseDuration('12 Minuten und 34 Sekunden', 'de'), 754);
+    });
+
+    it('should fall back to the base language, then English', () => {
+      assert.strictEqual(getLocale('de-AT'), getLocale('de'));
+      assert.strictEqual(getLocale('xx'), getLocale('en'));
+      assert.strictEqual(getLocale(undefined), getLocale('en'));
+    });
+  });
+
+  describe('normalized result fields', () => {
+    it('should add numeric companions to parsed items', () => {
+      const now = Date.parse('2024-03-15T12:00:00.000Z');
+      const { results } = parseSearchResults(
+        {
+          contents: {
+            twoColumnSearchResultsRenderer: {
+              primaryContents: {
+                sectionListRenderer: {
+                  contents: [
+                    {
+                      itemSectionRenderer: {
+                        contents: [
+                          {
+                            videoRenderer: {
+                              videoId: 'v1',
+                              viewCountText: { simpleText: 'No views' },
+                              lengthText: { simpleText: '1:00:00' },
+                              publishedTimeText: { simpleText: '1 day ago' },
+                            },
+                          },
+                          {
+                            channelRenderer: {
+                              channelId: 'c1',
+                              subscriberCountText: { simpleText: '1.2M subscribers' },
+                            },
+                          },
+                          {
+                            playlistRenderer: {
+                              playlistId: 'p1',
+                              videoCountText: { runs: [{ text: '1,024' }, { text: ' videos' }] },
+                            },
+                          },
+                        ],
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+        { now }
+      );
+
+      assert.strictEqual(results[0].viewCountValue, 0);
+      assert.strictEqual(results[0].durationSeconds, 3600);
+      assert.strictEqual(results[0].publishedAtEstimate, '2024-03-14T12:00:00.000Z');
+      assert.strictEqual(results[1].subscriberCountValue, 1200000);
+      assert.strictEqual(results[2].videoCountValue, 1024);
+    });
+  });
+});
+
+// ============================================
+// YouTubeClient Tests
+// ============================================
+
+describe('YouTubeClient', () => {
+  describe('Constructor', () => {
+    it('should initialize with default options', () => {
+      const client = new YouTubeClient();
+      assert.ok(client.transport instanceof Transport);
+      assert.ok(client.cache instanceof LRUCache);
+      assert.strictEqual(client.apiKey.length > 0, true);
+    });
+
+    it('should disable cache when useCache is false', () => {
+      const client = new YouTubeClient({ useCache: false });
+      assert.strictEqual(client.cache, null);
+      assert.strictEqual(new YouTubeClient({ cache: false }).cache, null);
+    });
+
+    it('should configure the cache store, capacity and max age', () => {
+      const client = new YouTubeClient({ cache: { store: 'memory', capacity: 5, maxAge: 1000 } });
+      assert.notStrictEqual(client.cache.store, localStorageMock);
+      assert.strictEqual(client.cache.store, client.suggestCache.store);
+      assert.strictEqual(client.cache.capacity, 5);
+      assert.strictEqual(client.cache.maxAge, 1000);
+    });
+
+    it('should configure the byte budget and serialization', () => {
+      const client = new YouTubeClient({
+        cache: { store: 'memory', maxBytes: 1e6, compact: true },
+      });
+      assert.strictEqual(client.cache.maxBytes, 1e6);
+      assert.strictEqual(client.cache.serialize, serializeCompact);
+      assert.strictEqual(client.suggestCache.maxBytes, Infinity);
+
+      const serialize = (item) => JSON.stringify(item);
+      const custom = new YouTubeClient({ cache: { store: 'memory', compact: true, serialize } });
+      assert.strictEqual(custom.cache.serialize, serialize);
+    });
+
+    it('should cache in a custom asynchronous store', async () => {
+      const store = createAsyncStore();
+      let requests = 0;
+      const client = new YouTubeClient({
+        cache: store,
+        fetch: async () => {
+          requests++;
+          return { ok: true, json: async () => ({ videoDetails: { videoId: 'abc123' } }) };
+        },
+      });
+
+      const first = await client.getVideo('abc123');
+      const second = await client.getVideo('abc123');
+      assert.strictEqual(requests, 2); // /player and /next, once
+      assert.deepStrictEqual(second, first);
+      assert.ok(store.items.has('yt_search_en_US_video_abc123'));
+
+      await client.clearCache();
+      assert.strictEqual(store.items.has('yt_search_en_US_video_abc123'), false);
+    });
+
+    it('should use custom proxyUrl', () => {
+      const client = new YouTubeClient({ proxyUrl: 'https://proxy.example.com/' });
+      assert.strictEqual(client.transport.proxyUrl, 'https://proxy.example.com/');
+    });
+
+    it('should merge custom clientContext', () => {
+      const client = new YouTubeClient({
+        clientContext: { clientName: 'ANDROID', clientVersion: '1.0' },
+      });
+      assert.strictEqual(client.context.clientName, 'ANDROID');
+      assert.strictEqual(client.context.clientVersion, '1.0');
+      // Other defaults should be preserved
+      assert.strictEqual(client.context.hl, 'en');
+    });
+  });
+
+  describe('request deduplication and revalidation', () => {
+    const createClient = (options, onRequest = () => {}) =>
+      new YouTubeClient({
+        fetch: async (url) => {
+          onRequest(url);
+          return {
+            ok: true,
+            json: async () => ({
+              videoDetails: { videoId: 'abc123', title: `Fresh ${url.split('?')[0]}` },
+            }),
+          };
+        },
+        ...options,
+      });
+
+    it('should share one request between identical concurrent calls', async () => {
+      for (const options of [{ cache: { store: 'memory' } }, { useCache: false }]) {
+        let requests = 0;
+        const client = createClient(options, () => requests++);
+        const [first, second] = await Promise.all([
+          client.getVideo('abc123'),
+          client.getVideo('abc123'),
+        ]);
+
+        assert.strictEqual(requests, 2); // /player and /next, once
+        assert.strictEqual(second, first);
+        assert.strictEqual(client._inFlight.size, 0);
+      }
+    });
+
+    it('should not share failed requests with later calls', async () => {
+      let requests = 0;
+      const client = new YouTubeClient({
+        useCache: false,
+        retry: false,
+        fetch: async () => {
+          requests++;
+          return { ok: false, status: 500, statusText: 'Server Error' };
+        },
+      });
+
+      await assert.rejects(() => client.getVideo('abc123'));
+      await assert.rejects(() => client.getVideo('abc123'));
+      assert.strictEqual(requests, 4);
+    });
+
+    it('should return stale entries and refresh them in the background', async () => {
+      const store = createMemoryStore();
+      store.setItem('yt_search_keys', JSON.stringify(['en_US_video_abc123']));
+      store.setItem(
+        'yt_search_en_US_video_abc123',
+        JSON.stringify({ value: { title: 'Stale' }, timestamp: Date.now() - 5000 })
+      );
+      let requests = 0;
+      const client = createClient(
+        { cache: { store, maxAge: 1000, staleWhileRevalidate: 60000 } },
+        () => requests++
+      );
+      const revalidated = new Promise((resolve) =>
+        client.addEventListener('revalidate', (event) => resolve(event.detail), { once: true })
+      );
+
+      const stale = await client.getVideo('abc123');
+      assert.deepStrictEqual(stale, { title: 'Stale' });
+
+      const { key, value } = await revalidated;
+      assert.strictEqual(key, 'en_US_video_abc123');
+      assert.notStrictEqual(value.title, 'Stale');
+      assert.strictEqual(requests, 2);
+      assert.deepStrictEqual(await client.getVideo('abc123'), value);
+      assert.strictEqual(requests, 2);
+    });
+
+    it('should dispatch revalidateerror when a background refresh fails', async () => {
+      const store = createMemoryStore();
+      store.setItem('yt_search_keys', JSON.stringify(['en_US_video_abc123']));
+      store.setItem(
+        'yt_search_en_US_video_abc123',
+        JSON.stringify({ value: { title: 'Stale' }, timestamp: Date.now() - 5000 })
+      );
+      const client = new YouTubeClient({
+        cache: { store, maxAge: 1000, staleWhileRevalidate: 60000 },
+        retry: false,
+        fetch: async () => {
+          throw new TypeError('fetch failed');
+        },
+      });
+      const failed = new Promise((resolve) =>
+        client.addEventListener('revalidateerror', (event) => resolve(event.detail), {
+          once: true,
+        })
+      );
+
+      assert.deepStrictEqual(await client.getVideo('abc123'), { title: 'Stale' });
+      const { key, error } = await failed;
+      assert.strictEqual(key, 'en_US_video_abc123');
+      assert.ok(error instanceof NetworkError);
+      assert.deepStrictEqual(await client.getVideo('abc123'), { title: 'Stale' });
+    });
+  });
+
+  describe('cancellation and timeouts', () => {
+    // A search page that always has another page after it.
+    const endlessPage = {
+      onResponseReceivedCommands: [
+        {
+          appendContinuationItemsAction: {
+            continuationItems: [
+              { itemSectionRenderer: { contents: [{ videoRenderer: { videoId: 'v1' } }] } },
+              {
+                continuationItemRenderer: {
+                  continuationEndpoint: { continuationCommand: { token: 'next' } },
+                },
+              },
+            ],
+          },
+        },
+      ],
+    };
+
+    // A fetch that only settles when its request is aborted.
+    const hangingFetch = (calls) => (_url, init) => {
+      calls.push(init.signal);
+      return new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+      });
+    };
+
+    it('should reject at once with an aborted signal', async () => {
+      let requests = 0;
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: async () => {
+          requests++;
+          return { ok: true, json: async () => endlessPage };
+        },
+      });
+
+      const controller = new AbortController();
+      controller.abort();
+      for (const call of [
+        () => client.search('test', { signal: controller.signal }),
+        () => client.getVideo('abc123', { signal: controller.signal }),
+        () => client.searchPages('test', { signal: controller.signal }).next(),
+      ]) {
+        await assert.rejects(call, (err) => err.name === 'AbortError');
+      }
+      assert.strictEqual(requests, 0);
+    });
+
+    it('should stop following continuations once aborted', async () => {
+      const controller = new AbortController();
+      let requests = 0;
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: async () => {
+          requests++;
+          if (requests === 2) controller.abort();
+          return { ok: true, json: async () => endlessPage };
+        },
+      });
+
+      await assert.rejects(
+        () => client.search('test', { limit: 100, maxPages: 10, signal: controller.signal }),
+        (err) => err.name === 'AbortError'
+      );
+      assert.strictEqual(requests, 2);
+    });
+
+    it('should reject with a TimeoutError and abort the request', async () => {
+      const signals = [];
+      const client = new YouTubeClient({ useCache: false, fetch: hangingFetch(signals) });
+
+      await assert.rejects(
+        () => client.search('test', { timeout: 20 }),
+        (err) => err instanceof TimeoutError && err.name === 'TimeoutError'
+      );
+      assert.strictEqual(signals.length, 1);
+      assert.strictEqual(signals[0].aborted, true);
+    });
+
+    it('should apply the client timeout to every call', async () => {
+      const signals = [];
+      const client = new YouTubeClient({
+        useCache: false,
+        timeout: 20,
+        fetch: hangingFetch(signals),
+      });
+
+      await assert.rejects(
+        () => client.getComments('abc123'),
+        (err) => err.name === 'TimeoutError'
+      );
+      await assert.rejects(
+        () => client.suggest('te'),
+        (err) => err.name === 'TimeoutError'
+      );
+      await assert.rejects(
+        () => client.getPlaylist('PL123', { timeout: 10 }),
+        (err) => err.name === 'TimeoutError'
+      );
+    });
+
+    it('should keep a shared request running while another caller waits', async () => {
+      const signals = [];
+      const responses = [];
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: (_url, init) => {
+          signals.push(init.signal);
+          return new Promise((resolve) => responses.push(resolve));
+        },
+      });
+
+      const controller = new AbortController();
+      const first = client.getVideo('abc123', { signal: controller.signal });
+      const second = client.getVideo('abc123');
+      controller.abort();
+
+      await assert.rejects(first, (err) => err.name === 'AbortError');
+      assert.ok(signals.every((signal) => !signal.aborted));
+      responses.forEach((resolve) =>
+        resolve({ ok: true, json: async () => ({ videoDetails: { videoId: 'abc123' } }) })
+      );
+      assert.strictEqual((await second).id, 'abc123');
+    });
+
+    it('should abort a shared request once every caller has aborted', async () => {
+      const signals = [];
+      const client = new YouTubeClient({ useCache: false, fetch: hangingFetch(signals) });
+
+      const first = new AbortController();
+      const second = new AbortController();
+      const calls = [
+        client.getVideo('abc123', { signal: first.signal }),
+        client.getVideo('abc123', { signal: second.signal }),
+      ];
+      first.abort();
+      assert.strictEqual(signals[0].aborted, false);
+      second.abort();
+
+      for (const call of calls) {
+        await assert.rejects(call, (err) => err.name === 'AbortError');
+      }
+      assert.ok(signals.every((signal) => signal.aborted));
+      assert.strictEqual(client._inFlight.size, 0);
+    });
+  });
 
   describe('search()', () => {
+    it('should estimate publish dates from the client clock', async () => {
+      const client = new YouTubeClient({
+        useCache: false,
+        clock: () => Date.parse('2024-03-15T12:00:00.000Z'),
+        fetch: async () => ({
+          ok: true,
+          json: async () => ({
+            contents: {
+              twoColumnSearchResultsRenderer: {
+                primaryContents: {
+                  sectionListRenderer: {
+                    contents: [
+                      {
+                        itemSectionRenderer: {
+                          contents: [
+                            {
+                              videoRenderer: {
+                                videoId: 'v1',
+                                publishedTimeText: { simpleText: '2 hours ago' },
+                              },
+                            },
+                          ],
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          }),
+        }),
+      });
+
+      const [video] = await client.search('test');
+      assert.strictEqual(video.publishedAtEstimate, '2024-03-15T10:00:00.000Z');
+    });
+
+    it('should search and parse in a per-call locale', async () => {
+      localStorageMock.clear();
+      const bodies = [];
+      const client = new YouTubeClient({
+        clock: () => Date.parse('2024-03-15T12:00:00.000Z'),
+        fetch: async (_url, options) => {
+          const body = JSON.parse(options.body);
+          bodies.push(body);
+          const publishedTimeText = {
+            simpleText: body.context.client.hl === 'de' ? 'vor 2 Stunden' : '3 hours ago',
+          };
+          return {
+            ok: true,
+            json: async () => ({
+              contents: {
+                twoColumnSearchResultsRenderer: {
+                  primaryContents: {
+                    sectionListRenderer: {
+                      contents: [
+                        {
+                          itemSectionRenderer: {
+                            contents: [{ videoRenderer: { videoId: 'v1', publishedTimeText } }],
+                          },
+                        },
+                      ],
+                    },
+                  },
+                },
+              },
+            }),
+          };
+        },
+      });
+
+      const [german] = await client.search('test', { hl: 'de', gl: 'DE' });
+      assert.strictEqual(bodies[0].context.client.hl, 'de');
+      assert.strictEqual(bodies[0].context.client.gl, 'DE');
+      assert.strictEqual(german.publishedAtEstimate, '2024-03-15T10:00:00.000Z');
+
+      // A different locale must not be served from the German cache entry.
+      const [english] = await client.search('test');
+      assert.strictEqual(bodies.length, 2);
+      assert.strictEqual(bodies[1].context.client.hl, 'en');
+      assert.strictEqual(english.publishedAtEstimate, '2024-03-15T09:00:00.000Z');
+      localStorageMock.clear();
+    });
+
     it('should filter results by type', async () => {
       // Create a mock transport that returns video results
       const mockFetch = async (_url, _options) => {
@@ -571,14 +3621,386 @@ describe('YouTubeClient', () => {
                       {
                         itemSectionRenderer: {
                           contents: [
-                            { videoRenderer: { videoId: 'v1', title: { simpleText: 'Video 1' } } },
-                            { videoRenderer: { videoId: 'v2', title: { simpleText: 'Video 2' } } },
-                            {
-                              channelRenderer: {
-                                channelId: 'c1',
-                                title: { simpleText: 'Channel 1' },
-                              },
-                            },
+                            { videoRenderer: { videoId: 'v1', title: { simpleText: 'Video 1' } } },
+                            { videoRenderer: { videoId: 'v2', title: { simpleText: 'Video 2' } } },
+                            {
+                              channelRenderer: {
+                                channelId: 'c1',
+                                title: { simpleText: 'Channel 1' },
+                              },
+                            },
+                          ],
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          })
+        );
+      };
+
+      class Response {
+        constructor(body) {
+          this._body = body;
+        }
+        async json() {
+          return JSON.parse(this._body);
+        }
+        get ok() {
+          return true;
+        }
+        get status() {
+          return 200;
+        }
+        get statusText() {
+          return 'OK';
+        }
+        async text() {
+          return this._body;
+        }
+      }
+
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: mockFetch,
+      });
+
+      // Test type filtering - only videos
+      const videoResults = await client.search('test', { type: 'video' });
+      assert.strictEqual(videoResults.length, 2);
+      assert.ok(videoResults.every((r) => r.type === 'video'));
+
+      // Test type filtering - only channels
+      const channelResults = await client.search('test', { type: 'channel' });
+      assert.strictEqual(channelResults.length, 1);
+      assert.strictEqual(channelResults[0].type, 'channel');
+    });
+
+    it('should respect limit parameter', async () => {
+      const mockFetch = async (_url, _options) => {
+        return new Response(
+          JSON.stringify({
+            contents: {
+              twoColumnSearchResultsRenderer: {
+                primaryContents: {
+                  sectionListRenderer: {
+                    contents: [
+                      {
+                        itemSectionRenderer: {
+                          contents: [
+                            { videoRenderer: { videoId: 'v1', title: { simpleText: 'Video 1' } } },
+                            { videoRenderer: { videoId: 'v2', title: { simpleText: 'Video 2' } } },
+                            { videoRenderer: { videoId: 'v3', title: { simpleText: 'Video 3' } } },
+                          ],
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          })
+        );
+      };
+
+      class Response {
+        constructor(body) {
+          this._body = body;
+        }
+        async json() {
+          return JSON.parse(this._body);
+        }
+        get ok() {
+          return true;
+        }
+        get status() {
+          return 200;
+        }
+        get statusText() {
+          return 'OK';
+        }
+        async text() {
+          return this._body;
+        }
+      }
+
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: mockFetch,
+      });
+
+      const results = await client.search('test', { limit: 2 });
+      assert.strictEqual(results.length, 2);
+      assert.strictEqual(results[0].id, 'v1');
+      assert.strictEqual(results[1].id, 'v2');
+    });
+    it('should not serve a search with fewer pages from the cache', async () => {
+      let page = 0;
+      const client = new YouTubeClient({
+        cache: { store: 'memory' },
+        fetch: async () => {
+          page++;
+          return {
+            ok: true,
+            json: async () => ({
+              onResponseReceivedCommands: [
+                {
+                  appendContinuationItemsAction: {
+                    continuationItems: [
+                      {
+                        itemSectionRenderer: {
+                          contents: [
+                            { videoRenderer: { videoId: `v${page}`, title: { simpleText: 'T' } } },
+                          ],
+                        },
+                      },
+                      {
+                        continuationItemRenderer: {
+                          continuationEndpoint: { continuationCommand: { token: `t${page}` } },
+                        },
+                      },
+                    ],
+                  },
+                },
+              ],
+            }),
+          };
+        },
+      });
+
+      assert.strictEqual((await client.search('test', { maxPages: 1 })).length, 1);
+      assert.strictEqual((await client.search('test', { maxPages: 3 })).length, 3);
+      assert.strictEqual((await client.search('test', { maxPages: 1 })).length, 1);
+      assert.strictEqual(page, 4);
+    });
+
+    it('should send encoded filters in the params field', async () => {
+      const bodies = [];
+      const mockFetch = async (_url, options) => {
+        bodies.push(JSON.parse(options.body));
+        return { ok: true, json: async () => ({}) };
+      };
+
+      const client = new YouTubeClient({ useCache: false, fetch: mockFetch });
+      await client.search('test', { type: 'channel', sortBy: 'date' });
+      await client.search('test', { type: 'all' });
+
+      assert.strictEqual(bodies[0].params, 'CAISAhAC');
+      assert.strictEqual('params' in bodies[1], false);
+    });
+
+    it('should filter videos server-side by default', async () => {
+      const bodies = [];
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: async (_url, options) => {
+          bodies.push(JSON.parse(options.body));
+          return { ok: true, json: async () => ({}) };
+        },
+      });
+      await client.search('test');
+      await client.searchDetailed('test');
+      await client.searchPages('test').next();
+
+      assert.deepStrictEqual(
+        bodies.map((body) => body.params),
+        ['EgIQAQ==', 'EgIQAQ==', 'EgIQAQ==']
+      );
+    });
+  });
+
+  describe('searchDetailed()', () => {
+    it('should return results with the search metadata and a cursor', async () => {
+      const bodies = [];
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: async (_url, options) => {
+          bodies.push(JSON.parse(options.body));
+          return { ok: true, json: async () => detailedSearchResponse };
+        },
+      });
+
+      const response = await client.searchDetailed('lofy', { sortBy: 'date' });
+      assert.strictEqual(bodies[0].query, 'lofy');
+      assert.strictEqual(bodies[0].params, 'CAISAhAB');
+      assert.deepStrictEqual(
+        response.results.map((r) => r.id),
+        ['v1']
+      );
+      assert.strictEqual(response.estimatedResults, 123456);
+      assert.strictEqual(response.correctedQuery, 'lofi');
+      assert.strictEqual(response.originalQuery, 'lofy');
+      assert.strictEqual(response.relatedSearches.length, 3);
+
+      await client.searchFromCursor(response.continuation);
+      assert.strictEqual(bodies[1].continuation, 'next-page');
+    });
+
+    it('should default originalQuery to the query', async () => {
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: async () => ({ ok: true, json: async () => ({}) }),
+      });
+      const response = await client.searchDetailed('lofi');
+      assert.strictEqual(response.originalQuery, 'lofi');
+      assert.strictEqual(response.correctedQuery, null);
+      assert.strictEqual(response.continuation, null);
+    });
+
+    it('should require a query', async () => {
+      await assert.rejects(() => new YouTubeClient().searchDetailed(''), /Query is required/);
+    });
+  });
+
+  describe('searchPages() / searchFromCursor()', () => {
+    // Page 1 is an initial search response, later pages are continuation responses.
+    const pages = [
+      {
+        contents: {
+          twoColumnSearchResultsRenderer: {
+            primaryContents: {
+              sectionListRenderer: {
+                contents: [
+                  {
+                    itemSectionRenderer: {
+                      contents: [{ videoRenderer: { videoId: 'v1' } }],
+                    },
+                  },
+                  {
+                    continuationItemRenderer: {
+                      continuationEndpoint: { continuationCommand: { token: 'tok2' } },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+      {
+        onResponseReceivedCommands: [
+          {
+            appendContinuationItemsAction: {
+              continuationItems: [
+                {
+                  itemSectionRenderer: {
+                    contents: [
+                      { videoRenderer: { videoId: 'v1' } },
+                      { videoRenderer: { videoId: 'v2' } },
+                    ],
+                  },
+                },
+                {
+                  continuationItemRenderer: {
+                    continuationEndpoint: { continuationCommand: { token: 'tok3' } },
+                  },
+                },
+              ],
+            },
+          },
+        ],
+      },
+      {
+        onResponseReceivedCommands: [
+          {
+            appendContinuationItemsAction: {
+              continuationItems: [
+                { itemSectionRenderer: { contents: [{ videoRenderer: { videoId: 'v3' } }] } },
+              ],
+            },
+          },
+        ],
+      },
+    ];
+
+    const createClient = (bodies) =>
+      createFixtureClient(bodies, (body) => {
+        const index = body.continuation ? Number(body.continuation.slice(3)) - 1 : 0;
+        return pages[index];
+      });
+
+    it('should yield one page at a time until continuations run out', async () => {
+      const client = createClient([]);
+      const seen = [];
+      for await (const page of client.searchPages('test')) {
+        seen.push(page);
+      }
+
+      assert.strictEqual(seen.length, 3);
+      assert.deepStrictEqual(
+        seen.map((p) => p.results.map((r) => r.id)),
+        [['v1'], ['v2'], ['v3']]
+      );
+      assert.strictEqual(seen[0].hasMore, true);
+      assert.strictEqual(typeof seen[0].cursor, 'string');
+      assert.strictEqual(seen[2].hasMore, false);
+      assert.strictEqual(seen[2].cursor, null);
+    });
+
+    it('should stop after maxPages', async () => {
+      const bodies = [];
+      const client = createClient(bodies);
+      const seen = [];
+      for await (const page of client.searchPages('test', { maxPages: 2 })) {
+        seen.push(page);
+      }
+      assert.strictEqual(seen.length, 2);
+      assert.strictEqual(bodies.length, 2);
+    });
+
+    it('should resume from a serialized cursor', async () => {
+      const bodies = [];
+      const client = createClient(bodies);
+      const first = await client.searchPages('テスト', { type: 'all' }).next();
+
+      const page = await client.searchFromCursor(first.value.cursor);
+      assert.strictEqual(bodies[1].continuation, 'tok2');
+      assert.deepStrictEqual(
+        page.results.map((r) => r.id),
+        ['v1', 'v2']
+      );
+
+      const last = await client.searchFromCursor(page.cursor);
+      assert.strictEqual(last.hasMore, false);
+      assert.deepStrictEqual(
+        last.results.map((r) => r.id),
+        ['v3']
+      );
+    });
+
+    it('should reject invalid cursors', async () => {
+      const client = createClient([]);
+      await assert.rejects(
+        () => client.searchFromCursor('not-a-cursor'),
+        (err) => err instanceof InvalidCursorError && err.kind === 'search'
+      );
+      const channelCursor = encodeCursor({ kind: 'channel', token: 'abc' });
+      await assert.rejects(
+        () => client.searchFromCursor(channelCursor),
+        (err) => err instanceof InvalidCursorError && err.code === 'ERR_INVALID_CURSOR'
+      );
+    });
+  });
+
+  describe('parse diagnostics', () => {
+    const createClient = (options) =>
+      new YouTubeClient({
+        useCache: false,
+        fetch: async () => ({
+          ok: true,
+          json: async () => ({
+            contents: {
+              twoColumnSearchResultsRenderer: {
+                primaryContents: {
+                  sectionListRenderer: {
+                    contents: [
+                      {
+                        itemSectionRenderer: {
+                          contents: [
+                            { videoRenderer: { videoId: 'v1', title: { simpleText: 'Video' } } },
+                            { futureVideoViewModel: { videoId: 'v2' } },
                           ],
                         },
                       },
@@ -587,62 +4009,247 @@ describe('YouTubeClient', () => {
                 },
               },
             },
-          })
-        );
-      };
+          }),
+        }),
+        ...options,
+      });
 
-      class Response {
-        constructor(body) {
-          this._body = body;
-        }
-        async json() {
-          return JSON.parse(this._body);
-        }
-        get ok() {
-          return true;
-        }
-        get status() {
-          return 200;
-        }
-        get statusText() {
-          return 'OK';
-        }
-        async text() {
-          return this._body;
+    it('should attach diagnostics to search pages and call onUnknownRenderer', async () => {
+      const unknown = [];
+      const client = createClient({ onUnknownRenderer: (renderer) => unknown.push(renderer) });
+
+      const { value: page } = await client.searchPages('test').next();
+      assert.deepStrictEqual(
+        page.results.map((r) => r.id),
+        ['v1']
+      );
+      assert.deepStrictEqual(page.diagnostics.unknownRenderers, ['futureVideoViewModel']);
+      assert.deepStrictEqual(unknown, ['futureVideoViewModel']);
+
+      const detailed = await client.searchDetailed('test');
+      assert.deepStrictEqual(detailed.diagnostics.droppedItems, ['futureVideoViewModel']);
+    });
+
+    it('should reject with a ParseError in strict mode', async () => {
+      const client = createClient({ strict: true });
+      await assert.rejects(() => client.searchPages('test').next(), ParseError);
+    });
+  });
+
+  describe('getVideo()', () => {
+    it('should require a video ID', async () => {
+      const client = new YouTubeClient({ useCache: false });
+      await assert.rejects(() => client.getVideo(''), /Video ID is required/);
+    });
+
+    it('should query the player and next endpoints', async () => {
+      const urls = [];
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: async (url, options) => {
+          urls.push(url);
+          assert.strictEqual(JSON.parse(options.body).videoId, 'abc123');
+          const data = url.includes('/player') ? playerResponse : nextResponse;
+          return { ok: true, json: async () => data };
+        },
+      });
+
+      const video = await client.getVideo('abc123');
+      assert.ok(urls.some((u) => u.includes('/youtubei/v1/player?key=')));
+      assert.ok(urls.some((u) => u.includes('/youtubei/v1/next?key=')));
+      assert.strictEqual(video.title, 'Test Video');
+      assert.strictEqual(video.likeCount, 12345);
+    });
+  });
+
+  describe('getRelated()', () => {
+    const createClient = (bodies) =>
+      createFixtureClient(bodies, (body) => {
+        const data = body.continuation
+          ? {
+              onResponseReceivedEndpoints: [
+                {
+                  appendContinuationItemsAction: {
+                    continuationItems: [compactVideo('r1'), compactVideo('r3'), compactVideo('r4')],
+                  },
+                },
+              ],
+            }
+          : relatedResponse;
+        return data;
+      });
+
+    it('should follow continuations until the limit is met, deduplicating by id', async () => {
+      const bodies = [];
+      const results = await createClient(bodies).getRelated('abc123', { limit: 3 });
+      assert.strictEqual(bodies[0].videoId, 'abc123');
+      assert.strictEqual(bodies[1].continuation, 'rel-tok');
+      assert.deepStrictEqual(
+        results.map((r) => r.id),
+        ['r1', 'r2', 'r3']
+      );
+    });
+
+    it('should not fetch more pages than needed', async () => {
+      const bodies = [];
+      const results = await createClient(bodies).getRelated('abc123', { limit: 2 });
+      assert.strictEqual(bodies.length, 1);
+      assert.strictEqual(results.length, 2);
+    });
+
+    it('should include other types with type "all"', async () => {
+      const results = await createClient([]).getRelated('abc123', { limit: 3, type: 'all' });
+      assert.deepStrictEqual(
+        results.map((r) => r.id),
+        ['r1', 'r2', 'PLr']
+      );
+    });
+  });
+
+  describe('getChannel() / channelFromCursor()', () => {
+    const createClient = (bodies) =>
+      createFixtureClient(bodies, (body, url) => {
+        let data = channelResponse;
+        if (url.includes('/navigation/resolve_url')) {
+          data = { endpoint: { browseEndpoint: { browseId: 'UCSJ4gkVC6NrvII8umztf0Ow' } } };
+        } else if (body.continuation) {
+          data = {
+            onResponseReceivedActions: [
+              {
+                appendContinuationItemsAction: {
+                  continuationItems: [
+                    { richItemRenderer: { content: { videoRenderer: { videoId: 'v3' } } } },
+                  ],
+                },
+              },
+            ],
+          };
         }
-      }
+        return data;
+      });
+
+    it('should resolve handles and browse the requested tab', async () => {
+      const bodies = [];
+      const client = createClient(bodies);
+      const page = await client.getChannel('@LofiGirl', { tab: 'shorts' });
+
+      assert.strictEqual(bodies[0].url, 'https://www.youtube.com/@LofiGirl');
+      assert.strictEqual(bodies[1].browseId, 'UCSJ4gkVC6NrvII8umztf0Ow');
+      assert.strictEqual(bodies[1].params, 'EgZzaG9ydHPyBgUKA5oBAA==');
+      assert.strictEqual(page.channel.title, 'Lofi Girl');
+      assert.strictEqual(page.tab, 'shorts');
+      assert.strictEqual(page.results.length, 2);
+      assert.strictEqual(page.results[0].author, 'Lofi Girl');
+      assert.strictEqual(page.results[0].channel.id, 'UCSJ4gkVC6NrvII8umztf0Ow');
+      assert.strictEqual(page.results[0].channel.verified, true);
+      assert.strictEqual(page.hasMore, true);
+    });
+
+    it('should skip resolution for channel IDs and follow cursors', async () => {
+      const bodies = [];
+      const client = createClient(bodies);
+      const page = await client.getChannel('UCSJ4gkVC6NrvII8umztf0Ow');
+      assert.strictEqual(bodies.length, 1);
+
+      const next = await client.channelFromCursor(page.cursor);
+      assert.strictEqual(bodies[1].continuation, 'chan-tok');
+      assert.deepStrictEqual(
+        next.results.map((r) => [r.id, r.author, r.channel.id]),
+        [['v3', 'Lofi Girl', 'UCSJ4gkVC6NrvII8umztf0Ow']]
+      );
+      assert.strictEqual(next.hasMore, false);
+    });
+
+    it('should reject unknown tabs', async () => {
+      const client = createClient([]);
+      await assert.rejects(
+        () => client.getChannel('@x', { tab: 'community' }),
+        /Invalid channel tab/
+      );
+    });
 
+    it('should reject handles that do not resolve with a NotFoundError', async () => {
       const client = new YouTubeClient({
         useCache: false,
-        fetch: mockFetch,
+        fetch: async () => ({ ok: true, json: async () => ({}) }),
       });
+      await assert.rejects(
+        () => client.getChannel('@nobody'),
+        (err) =>
+          err instanceof NotFoundError &&
+          err.code === 'ERR_NOT_FOUND' &&
+          err.resource === 'channel' &&
+          err.id === '@nobody'
+      );
+    });
+  });
 
-      // Test type filtering - only videos
-      const videoResults = await client.search('test', { type: 'video' });
-      assert.strictEqual(videoResults.length, 2);
-      assert.ok(videoResults.every((r) => r.type === 'video'));
+  describe('getPlaylist()', () => {
+    const createClient = (bodies) =>
+      createFixtureClient(bodies, (body) => {
+        const data = body.continuation
+          ? {
+              onResponseReceivedActions: [
+                {
+                  appendContinuationItemsAction: {
+                    continuationItems: [playlistVideo('v3', 3), playlistVideo('v4', 4)],
+                  },
+                },
+              ],
+            }
+          : playlistResponse;
+        return data;
+      });
 
-      // Test type filtering - only channels
-      const channelResults = await client.search('test', { type: 'channel' });
-      assert.strictEqual(channelResults.length, 1);
-      assert.strictEqual(channelResults[0].type, 'channel');
+    it('should browse VL<id> and iterate all videos across continuations', async () => {
+      const bodies = [];
+      const playlist = await createClient(bodies).getPlaylist('PL123');
+      assert.strictEqual(bodies[0].browseId, 'VLPL123');
+      assert.strictEqual(playlist.title, 'My Playlist');
+
+      const ids = [];
+      for await (const video of playlist.videos) {
+        ids.push(video.id);
+      }
+      assert.deepStrictEqual(ids, ['v1', 'v2', 'v3', 'v4']);
+      assert.strictEqual(bodies[1].continuation, 'pl-tok');
     });
 
-    it('should respect limit parameter', async () => {
-      const mockFetch = async (_url, _options) => {
-        return new Response(
-          JSON.stringify({
+    it('should stop at the caller-supplied limit', async () => {
+      const bodies = [];
+      const playlist = await createClient(bodies).getPlaylist('PL123', { limit: 2 });
+
+      const ids = [];
+      for await (const video of playlist.videos) {
+        ids.push(video.id);
+      }
+      assert.deepStrictEqual(ids, ['v1', 'v2']);
+      assert.strictEqual(bodies.length, 1);
+    });
+  });
+
+  describe('getComments() / commentsFromCursor()', () => {
+    const createClient = (bodies) =>
+      createFixtureClient(bodies, (body) => {
+        let data;
+        if (body.videoId) {
+          data = {
             contents: {
-              twoColumnSearchResultsRenderer: {
-                primaryContents: {
-                  sectionListRenderer: {
+              twoColumnWatchNextResults: {
+                results: {
+                  results: {
                     contents: [
                       {
                         itemSectionRenderer: {
+                          sectionIdentifier: 'comment-item-section',
                           contents: [
-                            { videoRenderer: { videoId: 'v1', title: { simpleText: 'Video 1' } } },
-                            { videoRenderer: { videoId: 'v2', title: { simpleText: 'Video 2' } } },
-                            { videoRenderer: { videoId: 'v3', title: { simpleText: 'Video 3' } } },
+                            {
+                              continuationItemRenderer: {
+                                continuationEndpoint: {
+                                  continuationCommand: { token: 'initial' },
+                                },
+                              },
+                            },
                           ],
                         },
                       },
@@ -651,40 +4258,255 @@ describe('YouTubeClient', () => {
                 },
               },
             },
-          })
-        );
+          };
+        } else if (body.continuation === 'sort-newest') {
+          data = commentsPageResponse('newest', ['new1']);
+        } else if (body.continuation.startsWith('replies-')) {
+          data = {
+            onResponseReceivedEndpoints: [
+              {
+                appendContinuationItemsAction: {
+                  continuationItems: [
+                    {
+                      commentRenderer: { commentId: 'r1', contentText: { simpleText: 'reply' } },
+                    },
+                  ],
+                },
+              },
+            ],
+          };
+        } else {
+          data = commentsPageResponse('top', ['top1']);
+        }
+        return data;
+      });
+
+    it('should load top comments from the watch page continuation', async () => {
+      const bodies = [];
+      const page = await createClient(bodies).getComments('abc123');
+      assert.strictEqual(bodies[0].videoId, 'abc123');
+      assert.strictEqual(bodies[1].continuation, 'initial');
+      assert.strictEqual(bodies.length, 2);
+      assert.strictEqual(page.results[0].id, 'top1');
+      assert.strictEqual(page.totalCount, '1,234 Comments');
+      assert.strictEqual(page.hasMore, true);
+    });
+
+    it('should switch to the requested sort order', async () => {
+      const bodies = [];
+      const page = await createClient(bodies).getComments('abc123', { sort: 'newest' });
+      assert.strictEqual(bodies[2].continuation, 'sort-newest');
+      assert.strictEqual(page.results[0].id, 'new1');
+    });
+
+    it('should load replies from a comment cursor', async () => {
+      const bodies = [];
+      const client = createClient(bodies);
+      const page = await client.getComments('abc123');
+
+      const replies = await client.commentsFromCursor(page.results[0].repliesCursor);
+      assert.strictEqual(bodies[2].continuation, 'replies-top1');
+      assert.strictEqual(replies.results[0].id, 'r1');
+      assert.strictEqual(replies.results[0].text, 'reply');
+      assert.strictEqual(replies.hasMore, false);
+    });
+
+    it('should reject unknown sort orders', async () => {
+      await assert.rejects(
+        () => createClient([]).getComments('abc123', { sort: 'oldest' }),
+        /Invalid comment sort/
+      );
+    });
+  });
+
+  describe('getTranscript()', () => {
+    const captionPlayer = {
+      captions: {
+        playerCaptionsTracklistRenderer: {
+          captionTracks: [
+            {
+              languageCode: 'en',
+              name: { simpleText: 'English' },
+              baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123&lang=en',
+            },
+            {
+              languageCode: 'fr',
+              kind: 'asr',
+              name: { simpleText: 'French (auto-generated)' },
+              baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123&lang=fr',
+            },
+          ],
+        },
+      },
+    };
+
+    const createClient = (requests, { next = transcriptNext, failTranscript = false } = {}) =>
+      new YouTubeClient({
+        useCache: false,
+        fetch: async (url, options = {}) => {
+          const body = options.body ? JSON.parse(options.body) : null;
+          requests.push({ url, body });
+          if (url.includes('/timedtext')) {
+            const timedText = {
+              events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: 'caption' }] }],
+            };
+            return { ok: true, text: async () => JSON.stringify(timedText) };
+          }
+          if (url.includes('/get_transcript') && failTranscript) {
+            return { ok: false, status: 400, statusText: 'Bad Request', text: async () => '' };
+          }
+
+          let data;
+          if (url.includes('/player')) data = captionPlayer;
+          else if (url.includes('/next')) data = next;
+          else if (body.params === 'transcript-params')
+            data = transcriptResponse('English', ['hi']);
+          else data = transcriptResponse('French (auto-generated)', ['salut']);
+          return { ok: true, json: async () => data };
+        },
+      });
+
+    it('should load the default transcript', async () => {
+      const requests = [];
+      const transcript = await createClient(requests).getTranscript('abc123');
+      assert.strictEqual(requests.filter((r) => r.url.includes('/get_transcript')).length, 1);
+      assert.deepStrictEqual(transcript.segments, [{ startMs: 0, endMs: 1500, text: 'hi' }]);
+      assert.deepStrictEqual(transcript.language, {
+        languageCode: 'en',
+        name: 'English',
+        kind: 'standard',
+      });
+      assert.deepStrictEqual(
+        transcript.languages.map((l) => [l.languageCode, l.kind]),
+        [
+          ['en', 'standard'],
+          ['fr', 'asr'],
+        ]
+      );
+    });
+
+    it('should switch to the requested language', async () => {
+      const requests = [];
+      const transcript = await createClient(requests).getTranscript('abc123', { lang: 'fr' });
+      const transcriptBodies = requests.filter((r) => r.url.includes('/get_transcript'));
+      assert.strictEqual(transcriptBodies[1].body.params, 'lang-French (auto-generated)');
+      assert.strictEqual(transcript.segments[0].text, 'salut');
+      assert.strictEqual(transcript.language.kind, 'asr');
+    });
+
+    it('should fall back to the caption track without a transcript panel', async () => {
+      const requests = [];
+      const transcript = await createClient(requests, { next: {} }).getTranscript('abc123');
+      const timedText = requests.find((r) => r.url.includes('/timedtext'));
+      assert.ok(timedText.url.includes('fmt=json3'));
+      assert.strictEqual(transcript.segments[0].text, 'caption');
+      assert.strictEqual(transcript.language.languageCode, 'en');
+    });
+
+    it('should fall back to the caption track when the transcript request fails', async () => {
+      const transcript = await createClient([], { failTranscript: true }).getTranscript('abc123', {
+        lang: 'fr',
+      });
+      assert.strictEqual(transcript.segments[0].text, 'caption');
+      assert.strictEqual(transcript.language.languageCode, 'fr');
+    });
+
+    it('should reject unavailable languages', async () => {
+      await assert.rejects(
+        () => createClient([]).getTranscript('abc123', { lang: 'de' }),
+        (err) =>
+          err instanceof NotFoundError &&
+          err.message === 'Transcript language not available: de' &&
+          err.resource === 'transcript' &&
+          err.id === 'abc123' &&
+          err.lang === 'de'
+      );
+    });
+  });
+
+  describe('suggest()', () => {
+    beforeEach(() => {
+      localStorageMock.clear();
+    });
+
+    const suggestFetch = (urls) => async (url) => {
+      urls.push(url);
+      const query = new URL(url).searchParams.get('q');
+      return {
+        ok: true,
+        text: async () =>
+          `window.google.ac.h(["${query}",[["${query} one",0],["${query} two",0]]])`,
       };
+    };
 
-      class Response {
-        constructor(body) {
-          this._body = body;
-        }
-        async json() {
-          return JSON.parse(this._body);
-        }
-        get ok() {
-          return true;
-        }
-        get status() {
-          return 200;
-        }
-        get statusText() {
-          return 'OK';
-        }
-        async text() {
-          return this._body;
-        }
-      }
+    it('should request suggestions through the transport and cache them', async () => {
+      const urls = [];
+      const client = new YouTubeClient({ fetch: suggestFetch(urls) });
 
+      const first = await client.suggest('lofi', { hl: 'fr', gl: 'FR' });
+      const second = await client.suggest('lofi', { hl: 'fr', gl: 'FR' });
+
+      assert.deepStrictEqual(first, ['lofi one', 'lofi two']);
+      assert.deepStrictEqual(second, first);
+      assert.strictEqual(urls.length, 1);
+
+      const params = new URL(urls[0]).searchParams;
+      assert.strictEqual(params.get('q'), 'lofi');
+      assert.strictEqual(params.get('hl'), 'fr');
+      assert.strictEqual(params.get('gl'), 'FR');
+    });
+
+    it('should route requests through the proxy', async () => {
+      const urls = [];
       const client = new YouTubeClient({
         useCache: false,
-        fetch: mockFetch,
+        proxyUrl: 'https://proxy.example.com/',
+        fetch: async (url) => {
+          urls.push(url);
+          return { ok: true, text: async () => '["a",["ab"]]' };
+        },
       });
 
-      const results = await client.search('test', { limit: 2 });
-      assert.strictEqual(results.length, 2);
-      assert.strictEqual(results[0].id, 'v1');
-      assert.strictEqual(results[1].id, 'v2');
+      await client.suggest('a');
+      assert.ok(urls[0].startsWith('https://proxy.example.com/https://suggestqueries'));
+    });
+
+    it('should return an empty array for blank queries without a request', async () => {
+      const urls = [];
+      const client = new YouTubeClient({ useCache: false, fetch: suggestFetch(urls) });
+      assert.deepStrictEqual(await client.suggest('  '), []);
+      assert.strictEqual(urls.length, 0);
+    });
+
+    it('should abort superseded requests', async () => {
+      const client = new YouTubeClient({
+        useCache: false,
+        fetch: (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () =>
+              reject(new DOMException('The operation was aborted.', 'AbortError'))
+            );
+            setTimeout(() => resolve({ ok: true, text: async () => '["l",["lo"]]' }), 10);
+          }),
+      });
+
+      const stale = client.suggest('l');
+      const fresh = client.suggest('lo');
+
+      await assert.rejects(stale, (err) => err.name === 'AbortError');
+      assert.deepStrictEqual(await fresh, ['lo']);
+    });
+
+    it('should abort superseded calls answered from the cache', async () => {
+      const urls = [];
+      const client = new YouTubeClient({ cache: { store: 'memory' }, fetch: suggestFetch(urls) });
+      await client.suggest('l');
+
+      const stale = client.suggest('l');
+      const fresh = client.suggest('lo');
+
+      await assert.rejects(stale, (err) => err.name === 'AbortError');
+      assert.deepStrictEqual(await fresh, ['lo one', 'lo two']);
     });
   });
 